@@ -13,8 +13,23 @@ const marketRoutes = require('./routes/markets');
 const betRoutes = require('./routes/bets');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
+const orderRoutes = require('./routes/orders');
+const proposalRoutes = require('./routes/proposals');
+const commentRoutes = require('./routes/comments');
+const seriesRoutes = require('./routes/series');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
 
 const WebSocketService = require('./services/websocketService');
+const SchedulerService = require('./services/schedulerService');
+const { registerMarketJobs, ensureMarketCloseJobs } = require('./services/marketLifecycleService');
+const { registerSettlementJobs, ensureSettlementJobs } = require('./services/settlementService');
+const { registerCancellationJobs } = require('./services/cancellationService');
+const { registerReconciliationJobs, scheduleReconciliation } = require('./services/reconciliationService');
+const { ensureOpeningBalances } = require('./services/ledgerService');
+const { ensureMarketMakerState } = require('./services/marketService');
+const { registerSeriesJobs, ensureSeriesJobs } = require('./services/seriesService');
+const { ensureDefaultCategories, ensureTagRegistry } = require('./services/taxonomyService');
 
 const app = express();
 const server = createServer(app);
@@ -44,23 +59,50 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// WebSocket Service
+const wsService = new WebSocketService(io);
+app.set('wsService', wsService);
+
+// Job scheduler
+const scheduler = new SchedulerService();
+registerMarketJobs(scheduler, wsService);
+registerSettlementJobs(scheduler, wsService);
+registerCancellationJobs(scheduler, wsService);
+registerReconciliationJobs(scheduler, wsService);
+registerSeriesJobs(scheduler, wsService);
+app.set('scheduler', scheduler);
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/polymarket', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected'))
+.then(async () => {
+  console.log('MongoDB connected');
+  await ensureDefaultCategories();
+  await ensureTagRegistry();
+  await ensureMarketCloseJobs(scheduler);
+  await ensureSettlementJobs(scheduler);
+  await ensureSeriesJobs(scheduler);
+  await ensureOpeningBalances();
+  await ensureMarketMakerState();
+  await scheduleReconciliation(scheduler);
+  scheduler.start();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
-// WebSocket Service
-const wsService = new WebSocketService(io);
-
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/markets/:marketId/comments', commentRoutes);
 app.use('/api/markets', marketRoutes);
 app.use('/api/bets', betRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/proposals', proposalRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
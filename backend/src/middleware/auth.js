@@ -33,6 +33,23 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Like auth, but lets anonymous requests through without req.user
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.userId).select('-password');
+      if (user && user.isActive) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // An invalid or expired token is treated as anonymous
+  }
+  next();
+};
+
 const adminAuth = (req, res, next) => {
   if (!req.user.isAdmin) {
     return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
@@ -40,4 +57,4 @@ const adminAuth = (req, res, next) => {
   next();
 };
 
-module.exports = { auth, adminAuth };
+module.exports = { auth, optionalAuth, adminAuth };
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key and its response are kept
+const getRetentionMs = () =>
+  (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long a key's lock lasts without a heartbeat before a retry can take it
+// over. A running request renews its lock a few times within this.
+const getLockTimeoutMs = () =>
+  parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 60000;
+const HEARTBEATS_PER_TIMEOUT = 3;
+
+// JSON with sorted object keys, so equal payloads hash the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(canonicalize({ method: req.method, path: req.originalUrl, body: req.body || {} }))
+  .digest('hex');
+
+// Honour an optional Idempotency-Key header (must run after auth). The first
+// request with a key runs normally and its response is stored; retries with
+// the same key and payload get the stored response back, and a key reused
+// with a different payload is rejected. Server errors aren't stored, so the
+// request can be retried with the same key. While a request runs it renews
+// its lock, so only a key whose request crashed is taken over by a retry,
+// once its heartbeat has gone stale.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  try {
+    const record = {
+      key,
+      userId: req.user._id,
+      method: req.method,
+      path: req.originalUrl,
+      fingerprint: fingerprint(req),
+      lockToken: crypto.randomUUID(),
+      lockedUntil: new Date(Date.now() + getLockTimeoutMs()),
+      expiresAt: new Date(Date.now() + getRetentionMs())
+    };
+
+    let stored;
+    try {
+      stored = await IdempotencyKey.create(record);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+      if (!existing) {
+        // Expired between the insert and the lookup
+        return res.status(409).json({ error: 'Idempotency key conflict, please retry' });
+      }
+
+      if (existing.fingerprint !== record.fingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency key was already used with a different request'
+        });
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(JSON.parse(existing.responseBody));
+      }
+
+      // Take over a key whose request stopped renewing its lock. Matching on
+      // the old token lets only one retry win.
+      stored = await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: 'in_progress',
+          lockToken: existing.lockToken,
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+        },
+        { $set: {
+          lockToken: record.lockToken,
+          lockedUntil: record.lockedUntil,
+          expiresAt: record.expiresAt
+        } },
+        { new: true }
+      );
+      if (!stored) {
+        return res.status(409).json({
+          error: 'A request with this idempotency key is still being processed'
+        });
+      }
+    }
+
+    // Only the request holding the lock may renew or finish the key, so a
+    // request that lost it can't overwrite its successor's response
+    const owned = { _id: stored._id, lockToken: stored.lockToken };
+
+    const heartbeat = setInterval(() => {
+      IdempotencyKey.updateOne(
+        { ...owned, status: 'in_progress' },
+        { $set: { lockedUntil: new Date(Date.now() + getLockTimeoutMs()) } }
+      ).catch(error => console.error('Idempotency key heartbeat error:', error));
+    }, getLockTimeoutMs() / HEARTBEATS_PER_TIMEOUT);
+    heartbeat.unref();
+    const stopHeartbeat = () => clearInterval(heartbeat);
+    // Not on 'close': a client that hangs up doesn't stop the handler
+    res.on('finish', stopHeartbeat);
+
+    // Store the response before sending it, so a retry never sees the key
+    // still in progress after the client got its answer
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      stopHeartbeat();
+      const save = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(owned)
+        : IdempotencyKey.updateOne(
+          owned,
+          { $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.stringify(body)
+          } }
+        );
+
+      save
+        .catch(error => console.error('Idempotency key save error:', error))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = { idempotency };
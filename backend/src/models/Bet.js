@@ -18,19 +18,35 @@ const betSchema = new mongoose.Schema({
   amount: {
     type: Number,
     required: true,
-    min: 1
+    min: 0
   },
   oddsAtTime: {
     type: Number,
     required: true
   },
+  shares: {
+    type: Number,
+    required: true,
+    min: 0
+  },
   potentialPayout: {
     type: Number,
     required: true
   },
+  // Whether the shares came from the market maker or an order book fill
+  source: {
+    type: String,
+    enum: ['amm', 'orderbook'],
+    default: 'amm'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
   status: {
     type: String,
-    enum: ['active', 'won', 'lost', 'refunded'],
+    enum: ['active', 'won', 'lost', 'partial', 'refunded', 'sold'],
     default: 'active'
   },
   createdAt: {
@@ -44,6 +60,28 @@ const betSchema = new mongoose.Schema({
   actualPayout: {
     type: Number,
     default: 0
+  },
+  // Fraction of a unit each share paid out at settlement
+  payoutFraction: {
+    type: Number,
+    default: null
+  },
+  // Failed attempts to settle this bet, and the last error
+  settlementAttempts: {
+    type: Number,
+    default: 0
+  },
+  settlementError: {
+    type: String,
+    default: null
+  },
+  sharesSold: {
+    type: Number,
+    default: 0
+  },
+  saleProceeds: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -54,28 +92,60 @@ betSchema.index({ userId: 1, status: 1 });
 betSchema.index({ marketId: 1, status: 1 });
 betSchema.index({ status: 1, createdAt: -1 });
 
-// Method to calculate potential payout
+// Method to calculate potential payout (each share pays 1 unit)
 betSchema.methods.calculatePotentialPayout = function() {
-  this.potentialPayout = this.amount / this.oddsAtTime;
+  this.potentialPayout = this.shares;
+};
+
+// Cost basis of the shares the bet still holds (sold shares leave the basis)
+betSchema.methods.getRemainingCost = function() {
+  const originalShares = this.shares + this.sharesSold;
+  return originalShares > 0 ? this.amount * (this.shares / originalShares) : 0;
 };
 
-// Method to settle bet
-betSchema.methods.settle = function(marketResolution) {
+// Method to settle bet given the fraction of a unit each share pays out.
+// Options that pay out in part (split resolutions, scalar markets) settle
+// as partial wins.
+betSchema.methods.settle = function(payoutFraction) {
   this.settledAt = new Date();
-  
-  if (this.option === marketResolution) {
+  this.payoutFraction = payoutFraction;
+  this.actualPayout = this.shares * payoutFraction;
+
+  if (payoutFraction >= 1) {
     this.status = 'won';
-    this.actualPayout = this.potentialPayout;
-  } else {
+  } else if (payoutFraction <= 0) {
     this.status = 'lost';
-    this.actualPayout = 0;
+  } else {
+    this.status = 'partial';
+  }
+};
+
+// Method to undo a settlement so the bet can be settled again
+betSchema.methods.unsettle = function() {
+  this.status = 'active';
+  this.actualPayout = 0;
+  this.payoutFraction = null;
+  this.settledAt = null;
+};
+
+// Method to record shares sold back to the market maker
+betSchema.methods.sell = function(quantity, proceeds) {
+  this.shares = Math.max(0, this.shares - quantity);
+  this.sharesSold += quantity;
+  this.saleProceeds += proceeds;
+  this.calculatePotentialPayout();
+
+  if (this.shares < 1e-9) {
+    this.shares = 0;
+    this.status = 'sold';
+    this.settledAt = new Date();
   }
 };
 
-// Method to refund bet
-betSchema.methods.refund = function() {
+// Method to refund the bet, by default the cost of the shares it still holds
+betSchema.methods.refund = function(amount = this.getRemainingCost()) {
   this.status = 'refunded';
-  this.actualPayout = this.amount;
+  this.actualPayout = amount;
   this.settledAt = new Date();
 };
 
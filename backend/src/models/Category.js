@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Market category managed by admins. Markets store the category's slug;
+// categories with a parent are subcategories.
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 50,
+    match: /^[a-z0-9]+(-[a-z0-9]+)*$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  icon: {
+    type: String,
+    maxlength: 100,
+    default: null
+  },
+  // Position among its siblings, lowest first
+  order: {
+    type: Number,
+    default: 0
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Inactive categories keep their markets but can't be used for new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+categorySchema.index({ parent: 1, order: 1 });
+
+// Arrange categories into a tree of { ...category, children }, ordered
+categorySchema.statics.buildTree = function(categories) {
+  const nodes = new Map(categories.map(category => [
+    category._id.toString(),
+    { ...(category.toObject ? category.toObject() : category), children: [] }
+  ]));
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const sort = (list) => {
+    list.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+    list.forEach(node => sort(node.children));
+    return list;
+  };
+
+  return sort(roots);
+};
+
+// Slugs of a category and all its subcategories
+categorySchema.statics.getTreeSlugs = async function(slug) {
+  const categories = await this.find().select('slug parent').lean();
+  const root = categories.find(category => category.slug === slug);
+  if (!root) {
+    return [];
+  }
+
+  const slugs = [];
+  const queue = [root];
+  while (queue.length > 0) {
+    const category = queue.shift();
+    slugs.push(category.slug);
+    categories
+      .filter(child => child.parent && child.parent.equals(category._id))
+      .forEach(child => queue.push(child));
+  }
+
+  return slugs;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
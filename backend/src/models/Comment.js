@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Comment in a market's discussion. Replies point at the comment they answer
+// and at the top-level comment of their thread, so a whole thread loads at once.
+const commentSchema = new mongoose.Schema({
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  threadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  },
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted comments keep their place in the thread without their text
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+commentSchema.index({ marketId: 1, parentId: 1, createdAt: -1 });
+commentSchema.index({ marketId: 1, parentId: 1, upvoteCount: -1 });
+commentSchema.index({ threadId: 1, createdAt: 1 });
+
+// Method to replace the comment's text, keeping when it was edited
+commentSchema.methods.edit = function(body) {
+  this.body = body;
+  this.editedAt = new Date();
+};
+
+// Method to remove the comment's text while its replies stay in place
+commentSchema.methods.softDelete = function() {
+  this.body = null;
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+};
+
+// Upvoter ids stay private; clients get the count and whether they upvoted
+commentSchema.methods.toView = function(userId, positions) {
+  const comment = this.toObject();
+  const author = comment.userId && comment.userId._id ? comment.userId._id : comment.userId;
+
+  // The author's account is gone
+  if (!author) {
+    comment.userId = { _id: null, username: '[deleted]' };
+  }
+
+  comment.upvoted = userId ? this.upvotes.some(id => id.equals(userId)) : false;
+  comment.position = positions && author ? positions.get(author.toString()) || [] : [];
+  delete comment.upvotes;
+
+  return comment;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Challenge raised by a position holder against a proposed resolution
+const disputeSchema = new mongoose.Schema({
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  // Outcome the disputer believes is correct, if any
+  suggestedResolution: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['open', 'upheld', 'rejected'],
+    default: 'open'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+disputeSchema.index({ marketId: 1, status: 1 });
+disputeSchema.index({ marketId: 1, userId: 1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
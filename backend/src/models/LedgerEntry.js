@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One side of a double-entry journal. Every journal moves an amount from one
+// account to another, so the entries sharing a journalId always sum to zero.
+//
+// Accounts are strings: `user:<userId>` for wallets, `market:<marketId>` for
+// the funds a market holds (stakes, order escrow and liquidity subsidies),
+// `house` for the platform's own funds and `mint`, which goes negative by
+// every unit created.
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  account: {
+    type: String,
+    required: true
+  },
+  // Positive when the account receives funds, negative when it pays
+  amount: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'starting_balance', 'opening_balance', 'bet', 'win', 'settlement_reversal', 'sell', 'refund',
+      'order_escrow', 'order_release', 'admin_adjustment', 'market_sweep',
+      'parlay_bet', 'parlay_win', 'parlay_refund', 'liquidity_subsidy', 'liquidity_withdrawal'
+    ],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  relatedBetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bet',
+    default: null
+  },
+  relatedMarketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    default: null
+  },
+  relatedParlayId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parlay',
+    default: null
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ journalId: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,4 +1,122 @@
 const mongoose = require('mongoose');
+const Tag = require('./Tag');
+const lmsr = require('../utils/lmsr');
+const { toOptionKey, toOptionMap, fromOptionMap } = require('../utils/optionKeys');
+
+// Numeric configuration for `range` markets. In `buckets` mode the options
+// are the intervals between consecutive edges; in `scalar` mode the market
+// trades a Long and a Short share whose payouts are linear in the outcome.
+const rangeSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['buckets', 'scalar'],
+    required: true
+  },
+  min: {
+    type: Number,
+    required: true
+  },
+  max: {
+    type: Number,
+    required: true
+  },
+  edges: [{
+    type: Number
+  }],
+  unit: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+// Resolution value that voids a market and refunds every bet
+const VOID_RESOLUTION = 'N/A';
+
+// Final outcome of a market: the fraction of a unit each option's shares pay
+// out. `outcome` is a readable label (the winning option, a split such as
+// "Yes 50% / No 50%", or N/A); a voided market has no payouts.
+const resolutionSchema = new mongoose.Schema({
+  outcome: {
+    type: String,
+    required: true
+  },
+  payouts: {
+    type: Map,
+    of: Number,
+    default: new Map()
+  }
+}, { _id: false });
+
+// Outcome proposed by an admin, open to disputes until the challenge period ends
+const proposedResolutionSchema = new mongoose.Schema({
+  outcome: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  evidence: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  proposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  challengeEndsAt: {
+    type: Date,
+    required: true
+  },
+  // Set when a second admin rules on the disputes
+  ruling: {
+    type: String,
+    enum: ['confirmed', 'overturned'],
+    default: null
+  },
+  ruledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ruledAt: {
+    type: Date,
+    default: null
+  },
+  rulingNotes: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Outcome of a parent market that a conditional market is tied to
+const conditionSchema = new mongoose.Schema({
+  parentMarket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    required: true
+  },
+  outcome: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Give a market's option-keyed maps back their option names, e.g. when it is
+// serialized or read with a lean query or an aggregation
+const restoreOptionKeys = (market) => {
+  ['currentOdds', 'outstandingShares'].forEach(path => {
+    if (market[path]) market[path] = fromOptionMap(market[path]);
+  });
+  if (market.resolution && market.resolution.payouts) {
+    market.resolution.payouts = fromOptionMap(market.resolution.payouts);
+  }
+  return market;
+};
 
 const marketSchema = new mongoose.Schema({
   title: {
@@ -12,10 +130,10 @@ const marketSchema = new mongoose.Schema({
     required: true,
     maxlength: 2000
   },
+  // Slug of a Category
   category: {
     type: String,
-    required: true,
-    enum: ['politics', 'sports', 'finance', 'technology', 'entertainment', 'other']
+    required: true
   },
   type: {
     type: String,
@@ -26,13 +144,17 @@ const marketSchema = new mongoose.Schema({
     type: String,
     required: true
   }],
+  range: {
+    type: rangeSchema,
+    default: null
+  },
   endDate: {
     type: Date,
     required: true
   },
   status: {
     type: String,
-    enum: ['open', 'closed', 'resolved', 'cancelled'],
+    enum: ['open', 'closed', 'pending_resolution', 'resolved', 'cancelled'],
     default: 'open'
   },
   currentOdds: {
@@ -40,6 +162,12 @@ const marketSchema = new mongoose.Schema({
     of: Number,
     default: new Map()
   },
+  // LMSR state: shares sold by the market maker for each option
+  outstandingShares: {
+    type: Map,
+    of: Number,
+    default: new Map()
+  },
   totalVolume: {
     type: Number,
     default: 0,
@@ -50,22 +178,51 @@ const marketSchema = new mongoose.Schema({
     default: parseInt(process.env.DEFAULT_LIQUIDITY) || 10000,
     min: 1000
   },
+  // Units the house has added to the market's account to fund extra
+  // liquidity, net of withdrawals
+  subsidy: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
   resolution: {
-    type: String,
+    type: resolutionSchema,
+    default: null
+  },
+  resolutionValue: {
+    type: Number,
+    default: null
+  },
+  proposedResolution: {
+    type: proposedResolutionSchema,
     default: null
   },
   resolutionDate: {
     type: Date,
     default: null
   },
+  cancellationReason: {
+    type: String,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Slugs of Tags
   tags: [{
     type: String,
-    trim: true
+    set: Tag.normalize
   }],
   image: {
     type: String,
@@ -75,10 +232,48 @@ const marketSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // How the outcome will be determined
+  resolutionCriteria: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  },
+  // User whose proposal this market was created from
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Recurring series this market is an instance of, and which instance
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MarketSeries',
+    default: null
+  },
+  seriesIndex: {
+    type: Number,
+    default: null
+  },
+  // Set on conditional markets, which are cancelled if the parent market
+  // resolves to any other outcome
+  condition: {
+    type: conditionSchema,
+    default: null
+  },
+  // Binary markets can also trade through a limit order book
+  orderBookEnabled: {
+    type: Boolean,
+    default: false
+  },
   isFeatured: {
     type: Boolean,
     default: false
   },
+  // Number of edits, see MarketRevision
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
   viewCount: {
     type: Number,
     default: 0
@@ -88,69 +283,193 @@ const marketSchema = new mongoose.Schema({
     default: 0
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Concurrent trades on the same market must not overwrite each other
+  optimisticConcurrency: true,
+  toJSON: {
+    transform: (doc, ret) => restoreOptionKeys(ret)
+  }
 });
 
 // Indexes
 marketSchema.index({ status: 1, endDate: 1 });
 marketSchema.index({ category: 1, status: 1 });
+marketSchema.index({ tags: 1, status: 1 });
 marketSchema.index({ totalVolume: -1 });
 marketSchema.index({ isFeatured: 1, status: 1 });
+marketSchema.index({ 'condition.parentMarket': 1, status: 1 });
+// One market per series instance
+marketSchema.index(
+  { series: 1, seriesIndex: 1 },
+  { unique: true, partialFilterExpression: { series: { $type: 'objectId' } } }
+);
+// Full-text search, with title matches ranked above tags and description
+marketSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { name: 'market_text', weights: { title: 10, tags: 5, description: 1 } }
+);
+
+// Labels of the options traded by a range market
+marketSchema.methods.buildRangeOptions = function() {
+  if (this.range.mode === 'scalar') {
+    return ['Long', 'Short'];
+  }
+
+  const { edges } = this.range;
+  return edges.slice(0, -1).map((lower, i) => `${lower} to ${edges[i + 1]}`);
+};
+
+// Bucket option containing a numeric outcome. Buckets are [lower, upper)
+// except the last one, and outcomes outside [min, max] fall into the end buckets.
+marketSchema.methods.getOptionForValue = function(value) {
+  const { edges } = this.range;
+  let index = edges.findIndex(edge => value < edge) - 1;
+
+  if (index === -2) {
+    index = edges.length - 2;
+  } else if (index < 0) {
+    index = 0;
+  }
+
+  return this.options[index];
+};
+
+// Payout vector of a numeric outcome: the containing bucket pays in full,
+// scalar Long/Short shares pay linearly between min and max
+marketSchema.methods.getPayoutsForValue = function(value) {
+  if (this.range.mode === 'scalar') {
+    const { min, max } = this.range;
+    const clamped = Math.min(Math.max(value, min), max);
+    const longPayout = (clamped - min) / (max - min);
+    return { Long: longPayout, Short: 1 - longPayout };
+  }
+
+  return { [this.getOptionForValue(value)]: 1 };
+};
+
+// Fraction of a unit each share of an option pays out after resolution
+marketSchema.methods.getPayoutFraction = function(option) {
+  if (!this.resolution) return 0;
+  return this.resolution.payouts.get(toOptionKey(option)) || 0;
+};
+
+// Method to check if market was resolved as N/A
+marketSchema.methods.isVoided = function() {
+  return Boolean(this.resolution) && this.resolution.outcome === VOID_RESOLUTION;
+};
 
 // Method to calculate initial odds
 marketSchema.methods.calculateInitialOdds = function() {
-  const odds = {};
-  if (this.type === 'binary') {
-    odds[this.options[0]] = 0.5;
-    odds[this.options[1]] = 0.5;
-  } else {
-    // For multiple choice, start with equal odds
-    const equalOdds = 1 / this.options.length;
-    this.options.forEach(option => {
-      odds[option] = equalOdds;
-    });
-  }
-  this.currentOdds = new Map(Object.entries(odds));
-};
-
-// Method to update odds based on betting
-marketSchema.methods.updateOdds = async function() {
-  const Bet = mongoose.model('Bet');
-  const bets = await Bet.find({ marketId: this._id, status: 'active' });
-  
-  const poolByOption = {};
-  bets.forEach(bet => {
-    poolByOption[bet.option] = (poolByOption[bet.option] || 0) + bet.amount;
-  });
-
-  const totalPool = Object.values(poolByOption).reduce((a, b) => a + b, 0);
-  const odds = {};
-  
-  if (totalPool === 0) {
-    // If no bets, use initial odds
-    this.calculateInitialOdds();
-    return;
-  }
-
-  // Logarithmic Market Scoring Rule
-  Object.keys(poolByOption).forEach(option => {
-    const pool = poolByOption[option];
-    const otherPool = totalPool - pool;
-    
-    odds[option] = 1 / (1 + Math.exp((otherPool - pool) / this.liquidity));
+  const shares = {};
+  this.options.forEach(option => {
+    shares[option] = 0;
   });
+  this.outstandingShares = toOptionMap(shares);
+  this.updateOdds();
+};
 
-  // Handle options with no bets
+// Plain object view of the maker's outstanding shares
+marketSchema.methods.getShares = function() {
+  const shares = {};
   this.options.forEach(option => {
-    if (!odds[option]) {
-      odds[option] = 1 / (1 + Math.exp((totalPool) / this.liquidity));
-    }
+    shares[option] = this.outstandingShares.get(toOptionKey(option)) || 0;
   });
+  return shares;
+};
 
-  this.currentOdds = new Map(Object.entries(odds));
-  this.totalVolume = totalPool;
-  
-  await this.save();
+// Method to update odds from the LMSR state (liquidity is the b parameter)
+marketSchema.methods.updateOdds = function() {
+  const odds = lmsr.prices(this.getShares(), this.liquidity);
+  this.currentOdds = toOptionMap(odds);
+  return odds;
+};
+
+// Current price of an option
+marketSchema.methods.getPrice = function(option) {
+  return this.currentOdds.get(toOptionKey(option));
+};
+
+// Plain object view of the current prices
+marketSchema.methods.getOdds = function() {
+  return fromOptionMap(this.currentOdds);
+};
+
+// Quote for spending `amount` units on an option, without changing the market
+marketSchema.methods.quoteBuy = function(option, amount) {
+  const shares = this.getShares();
+  const priceBefore = lmsr.prices(shares, this.liquidity)[option];
+  const quantity = lmsr.sharesForAmount(shares, this.liquidity, option, amount);
+
+  shares[option] += quantity;
+  const priceAfter = lmsr.prices(shares, this.liquidity)[option];
+  const averagePrice = amount / quantity;
+
+  return {
+    shares: quantity,
+    averagePrice,
+    priceBefore,
+    priceAfter,
+    potentialPayout: quantity,
+    priceImpact: (averagePrice - priceBefore) / priceBefore
+  };
+};
+
+// Method to buy shares of an option from the market maker.
+// Returns the number of shares bought and the average price paid.
+marketSchema.methods.buyShares = function(option, amount) {
+  const shares = this.getShares();
+  const quantity = this.quoteBuy(option, amount).shares;
+
+  shares[option] += quantity;
+  this.outstandingShares = toOptionMap(shares);
+  this.totalVolume += amount;
+  this.updateOdds();
+
+  return {
+    shares: quantity,
+    averagePrice: amount / quantity
+  };
+};
+
+// Proceeds from selling shares of an option back to the market maker
+marketSchema.methods.quoteSell = function(option, quantity) {
+  const shares = this.getShares();
+  const proceeds = -lmsr.costToBuy(shares, this.liquidity, option, -quantity);
+  shares[option] -= quantity;
+
+  return {
+    proceeds,
+    averagePrice: proceeds / quantity,
+    priceAfter: lmsr.prices(shares, this.liquidity)[option]
+  };
+};
+
+// Method to sell shares of an option back to the market maker.
+// Returns the proceeds and the average price received.
+marketSchema.methods.sellShares = function(option, quantity) {
+  const { proceeds, averagePrice } = this.quoteSell(option, quantity);
+  const shares = this.getShares();
+
+  shares[option] -= quantity;
+  this.outstandingShares = toOptionMap(shares);
+  this.totalVolume += proceeds;
+  this.updateOdds();
+
+  return { proceeds, averagePrice };
+};
+
+// Method to change the liquidity (b). The outstanding shares are what users
+// hold, so they stay as they are and the prices are recomputed on the new
+// curve.
+marketSchema.methods.setLiquidity = function(liquidity) {
+  this.liquidity = liquidity;
+  this.updateOdds();
+};
+
+// Worst-case amount the market maker can lose on this market if it had
+// traded from uniform prices at its current liquidity
+marketSchema.methods.getMaxLoss = function() {
+  return lmsr.maxLoss(this.liquidity, this.options.length);
 };
 
 // Method to check if market is still open
@@ -158,11 +477,119 @@ marketSchema.methods.isOpen = function() {
   return this.status === 'open' && new Date() < this.endDate;
 };
 
-// Method to resolve market
+// Normalise a requested resolution. Any market can resolve as N/A; range
+// markets otherwise take a number, and other markets take one of the options
+// or an object of payout fractions per option that sum to 1 (e.g. a 50/50
+// split for a draw). Returns null if it isn't valid for this market.
+marketSchema.methods.parseResolution = function(resolution) {
+  if (resolution === VOID_RESOLUTION) {
+    return VOID_RESOLUTION;
+  }
+
+  if (this.type === 'range') {
+    const value = Number(resolution);
+    return resolution !== null && resolution !== '' && typeof resolution !== 'object' &&
+      Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof resolution === 'string') {
+    return this.options.includes(resolution) ? resolution : null;
+  }
+
+  if (!resolution || typeof resolution !== 'object' || Array.isArray(resolution)) {
+    return null;
+  }
+
+  const payouts = {};
+  let total = 0;
+  for (const [option, value] of Object.entries(resolution)) {
+    const fraction = Number(value);
+    if (!this.options.includes(option) || !Number.isFinite(fraction) || fraction < 0 || fraction > 1) {
+      return null;
+    }
+    if (fraction > 0) {
+      payouts[option] = fraction;
+      total += fraction;
+    }
+  }
+
+  if (Math.abs(total - 1) > 1e-6) {
+    return null;
+  }
+
+  // A split that pays one option in full is just that option
+  const options = Object.keys(payouts);
+  return options.length === 1 ? options[0] : payouts;
+};
+
+// Method to propose an outcome and open the challenge period
+marketSchema.methods.proposeResolution = function(outcome, evidence, adminId, challengePeriodMs) {
+  const now = new Date();
+  this.status = 'pending_resolution';
+  this.proposedResolution = {
+    outcome,
+    evidence,
+    proposedBy: adminId,
+    proposedAt: now,
+    challengeEndsAt: new Date(now.getTime() + challengePeriodMs)
+  };
+};
+
+// Method to check if the proposed resolution can still be disputed
+marketSchema.methods.isChallengeOpen = function() {
+  return this.status === 'pending_resolution' && new Date() < this.proposedResolution.challengeEndsAt;
+};
+
+// Method to resolve market with a value from parseResolution and store the
+// resulting payout vector
 marketSchema.methods.resolve = function(resolution) {
   this.status = 'resolved';
-  this.resolution = resolution;
   this.resolutionDate = new Date();
+  this.resolutionValue = null;
+
+  let outcome;
+  let payouts = {};
+
+  if (resolution === VOID_RESOLUTION) {
+    outcome = VOID_RESOLUTION;
+  } else if (this.type === 'range') {
+    this.resolutionValue = resolution;
+    payouts = this.getPayoutsForValue(resolution);
+    outcome = this.range.mode === 'buckets' ? Object.keys(payouts)[0] : String(resolution);
+  } else if (typeof resolution === 'string') {
+    outcome = resolution;
+    payouts = { [resolution]: 1 };
+  } else {
+    payouts = resolution;
+    outcome = Object.entries(payouts)
+      .map(([option, fraction]) => `${option} ${Math.round(fraction * 10000) / 100}%`)
+      .join(' / ');
+  }
+
+  this.resolution = {
+    outcome,
+    payouts: toOptionMap(payouts)
+  };
 };
 
+// Method to check a conditional market's condition against its parent:
+// true if the parent resolved to the linked outcome, false if it resolved any
+// other way or was cancelled, and null while it is undecided
+marketSchema.methods.isConditionMet = function(parent) {
+  if (parent.status === 'cancelled') return false;
+  if (parent.status !== 'resolved') return null;
+  return parent.getPayoutFraction(this.condition.outcome) >= 1;
+};
+
+// Method to cancel market
+marketSchema.methods.cancel = function(reason, adminId) {
+  this.status = 'cancelled';
+  this.cancellationReason = reason;
+  this.cancelledAt = new Date();
+  this.cancelledBy = adminId;
+};
+
+marketSchema.statics.VOID_RESOLUTION = VOID_RESOLUTION;
+marketSchema.statics.restoreOptionKeys = restoreOptionKeys;
+
 module.exports = mongoose.model('Market', marketSchema);
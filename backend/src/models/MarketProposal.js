@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Market suggested by a user, waiting for an admin to review it. Holds the
+// same fields a market is created from, plus how it will be resolved.
+const marketProposalSchema = new mongoose.Schema({
+  proposer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['binary', 'multiple', 'range']
+  },
+  options: [{
+    type: String
+  }],
+  // Range configuration as submitted (edges or bucketCount)
+  range: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  image: {
+    type: String,
+    default: null
+  },
+  resolutionCriteria: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  sourceUrl: {
+    type: String,
+    required: true
+  },
+  orderBookEnabled: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'merged'],
+    default: 'pending'
+  },
+  // Admin feedback sent to the proposer with the decision
+  feedback: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Market created when the proposal was approved
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    default: null
+  },
+  // Set when merged as a duplicate of another proposal or an existing market
+  mergedIntoProposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MarketProposal',
+    default: null
+  },
+  mergedIntoMarket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+marketProposalSchema.index({ status: 1, createdAt: 1 });
+marketProposalSchema.index({ proposer: 1, createdAt: -1 });
+
+// Fields a market is created from
+marketProposalSchema.methods.getMarketFields = function() {
+  return {
+    title: this.title,
+    description: this.description,
+    category: this.category,
+    type: this.type,
+    options: [...this.options],
+    range: this.range,
+    endDate: this.endDate,
+    tags: [...this.tags],
+    image: this.image,
+    sourceUrl: this.sourceUrl,
+    resolutionCriteria: this.resolutionCriteria,
+    orderBookEnabled: this.orderBookEnabled
+  };
+};
+
+// Record an admin's decision on a proposal, as long as it is still pending,
+// along with any other `fields` the decision sets. Returns the updated
+// proposal, or null if it was decided in the meantime.
+marketProposalSchema.statics.reviewPending = function(id, status, adminId, feedback, fields = {}) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: {
+      ...fields,
+      status,
+      reviewedBy: adminId,
+      reviewedAt: new Date(),
+      feedback: feedback || null
+    } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('MarketProposal', marketProposalSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Fields whose text decides how a market resolves. Changing them after
+// people have bet is flagged and notifies the bettors.
+const RESOLUTION_FIELDS = ['title', 'description', 'sourceUrl', 'resolutionCriteria'];
+
+// One edit of a market: who made it, why, and each field's old and new value
+const marketRevisionSchema = new mongoose.Schema({
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    required: true
+  },
+  // Edits of a market are numbered from 1
+  version: {
+    type: Number,
+    required: true
+  },
+  editorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  resolutionRelevant: {
+    type: Boolean,
+    default: false
+  },
+  // Users with active bets who were notified of the change
+  notifiedUsers: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+marketRevisionSchema.index({ marketId: 1, version: -1 }, { unique: true });
+
+// Build the changes between a market's current values and an update,
+// leaving out fields that stay the same
+marketRevisionSchema.statics.diff = function(market, updates) {
+  return Object.keys(updates)
+    .map(field => {
+      const current = market[field];
+      return {
+        field,
+        from: Array.isArray(current) ? [...current] : current === undefined ? null : current,
+        to: updates[field]
+      };
+    })
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+};
+
+marketRevisionSchema.statics.RESOLUTION_FIELDS = RESOLUTION_FIELDS;
+
+module.exports = mongoose.model('MarketRevision', marketRevisionSchema);
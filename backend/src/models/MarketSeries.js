@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ISO 8601 week number of a date (UTC)
+const isoWeek = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  return Math.ceil(((day - yearStart) / DAY_MS + 1) / 7);
+};
+
+// Replace {{placeholder}} fields, leaving unknown ones as they are
+const render = (text, values) =>
+  typeof text !== 'string' ? text : text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    values[name] !== undefined ? String(values[name]) : match);
+
+// Market fields every instance of a series is created from. Text fields may
+// use the placeholders {{n}}, {{date}}, {{week}}, {{month}} and {{year}}.
+const templateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['binary', 'multiple', 'range']
+  },
+  options: [{
+    type: String
+  }],
+  // Range configuration as submitted (edges or bucketCount)
+  range: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  image: {
+    type: String,
+    default: null
+  },
+  sourceUrl: {
+    type: String,
+    default: null
+  },
+  resolutionCriteria: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  },
+  orderBookEnabled: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Instance n opens (trades from) `startsAt + n * interval` periods and ends
+// `durationHours` later
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    required: true,
+    enum: ['daily', 'weekly', 'monthly']
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  durationHours: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // How long before its start an instance is created
+  leadTimeHours: {
+    type: Number,
+    default: 24,
+    min: 0
+  },
+  // No instances start after this date
+  until: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Market that is created again on a schedule, e.g. every week
+const marketSeriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  template: {
+    type: templateSchema,
+    required: true
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active'
+  },
+  // Why the series paused itself, e.g. its template stopped producing a
+  // valid market. Null when an admin paused it.
+  pausedReason: {
+    type: String,
+    default: null
+  },
+  // Index of the next instance to create
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+  // Bumped when the schedule changes, so a freshly queued job replaces the old one
+  revision: {
+    type: Number,
+    default: 0
+  },
+  instanceCount: {
+    type: Number,
+    default: 0
+  },
+  lastInstanceAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+marketSeriesSchema.index({ status: 1 });
+
+// Method to get when instance `index` starts and ends
+marketSeriesSchema.methods.getOccurrence = function(index) {
+  const { frequency, interval, startsAt, durationHours } = this.recurrence;
+  const start = new Date(startsAt);
+
+  if (frequency === 'monthly') {
+    // Keep the day of month, or the last day of shorter months
+    const day = start.getUTCDate();
+    start.setUTCDate(1);
+    start.setUTCMonth(start.getUTCMonth() + index * interval);
+    const daysInMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)).getUTCDate();
+    start.setUTCDate(Math.min(day, daysInMonth));
+  } else {
+    const days = frequency === 'weekly' ? 7 : 1;
+    start.setTime(start.getTime() + index * interval * days * DAY_MS);
+  }
+
+  return {
+    startsAt: start,
+    endDate: new Date(start.getTime() + durationHours * 60 * 60 * 1000),
+    createAt: new Date(start.getTime() - this.recurrence.leadTimeHours * 60 * 60 * 1000)
+  };
+};
+
+// Method to check whether instance `index` falls within the series
+marketSeriesSchema.methods.hasOccurrence = function(index) {
+  const { until } = this.recurrence;
+  return !until || this.getOccurrence(index).startsAt <= until;
+};
+
+// Method to find the first instance from `index` on that hasn't ended yet
+marketSeriesSchema.methods.getUpcomingIndex = function(index = 0, now = new Date()) {
+  while (this.hasOccurrence(index) && this.getOccurrence(index).endDate <= now) {
+    index += 1;
+  }
+  return index;
+};
+
+// Method to build the market fields of instance `index` from the template
+marketSeriesSchema.methods.renderInstance = function(index) {
+  const { endDate } = this.getOccurrence(index);
+  const values = {
+    n: index + 1,
+    date: endDate.toISOString().slice(0, 10),
+    week: isoWeek(endDate),
+    month: MONTH_NAMES[endDate.getUTCMonth()],
+    year: endDate.getUTCFullYear()
+  };
+  const template = this.template.toObject();
+
+  return {
+    ...template,
+    title: render(template.title, values),
+    description: render(template.description, values),
+    resolutionCriteria: render(template.resolutionCriteria, values),
+    options: template.options.map(option => render(option, values)),
+    tags: template.tags.map(tag => render(tag, values)),
+    endDate
+  };
+};
+
+module.exports = mongoose.model('MarketSeries', marketSeriesSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Limit order to buy shares of one outcome of a binary market. A buy of one
+// outcome at price p is matched against buys of the other outcome at 1 - p or
+// better, so every fill mints a fully collateralised pair of shares.
+const orderSchema = new mongoose.Schema({
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  outcome: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0.01,
+    max: 0.99
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  filledQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Funds still held from the user's balance for the unfilled quantity
+  escrow: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'partially_filled', 'filled', 'cancelled'],
+    default: 'open'
+  },
+  // Bet holding the shares acquired by this order's fills
+  betId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bet',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+orderSchema.index({ marketId: 1, outcome: 1, status: 1, price: -1, createdAt: 1 });
+orderSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+// Shares still waiting to be filled
+orderSchema.methods.getRemaining = function() {
+  return this.quantity - this.filledQuantity;
+};
+
+// Method to check if order can still be matched or cancelled
+orderSchema.methods.isResting = function() {
+  return this.status === 'open' || this.status === 'partially_filled';
+};
+
+module.exports = mongoose.model('Order', orderSchema);
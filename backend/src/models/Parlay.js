@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// One market of a parlay and the option picked on it
+const legSchema = new mongoose.Schema({
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    required: true
+  },
+  option: {
+    type: String,
+    required: true
+  },
+  // Price of the option when the parlay was placed
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'won', 'lost', 'partial', 'void'],
+    default: 'pending'
+  },
+  // Fraction of a unit the option paid at resolution
+  payoutFraction: {
+    type: Number,
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Combination of picks on several markets that pays only if every leg wins.
+// Parlays are backed by the house rather than the markets' market makers.
+const parlaySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  legs: {
+    type: [legSchema],
+    validate: [legs => legs.length >= 2, 'A parlay needs at least 2 legs']
+  },
+  // Product of the prices of the legs that aren't void
+  combinedPrice: {
+    type: Number,
+    required: true
+  },
+  potentialPayout: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'won', 'lost', 'partial', 'void'],
+    default: 'active'
+  },
+  // Paid out so far; re-resolved legs move it up or down
+  actualPayout: {
+    type: Number,
+    default: 0
+  },
+  // Part of actualPayout a reversal couldn't collect from the user's balance
+  shortfall: {
+    type: Number,
+    default: 0
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+parlaySchema.index({ userId: 1, createdAt: -1 });
+parlaySchema.index({ 'legs.marketId': 1, status: 1 });
+
+// Method to recalculate the price and payout from the legs that aren't void
+parlaySchema.methods.calculatePotentialPayout = function() {
+  this.combinedPrice = this.legs
+    .filter(leg => leg.status !== 'void')
+    .reduce((price, leg) => price * leg.price, 1);
+  this.potentialPayout = this.amount / this.combinedPrice;
+  return this.potentialPayout;
+};
+
+// Method to record the outcome of a leg's market: the fraction its option
+// paid, or null if the market was voided or cancelled
+parlaySchema.methods.settleLeg = function(marketId, fraction) {
+  const leg = this.legs.find(leg => leg.marketId.equals(marketId));
+  if (!leg) {
+    return null;
+  }
+
+  if (fraction === null) {
+    leg.status = 'void';
+    leg.payoutFraction = null;
+  } else {
+    leg.status = fraction >= 1 ? 'won' : fraction <= 0 ? 'lost' : 'partial';
+    leg.payoutFraction = fraction;
+  }
+  leg.settledAt = new Date();
+
+  this.calculatePotentialPayout();
+  return leg;
+};
+
+// Method to work out the parlay's outcome from its legs. It loses as soon as
+// one leg loses; otherwise it waits for every leg, and pays the stake times
+// each leg's payout over its price. A parlay whose legs are all void is
+// refunded.
+parlaySchema.methods.getOutcome = function() {
+  const legs = this.legs.filter(leg => leg.status !== 'void');
+
+  if (legs.some(leg => leg.status === 'lost')) {
+    return { status: 'lost', payout: 0 };
+  }
+  if (legs.some(leg => leg.status === 'pending')) {
+    return { status: 'active', payout: 0 };
+  }
+  if (legs.length === 0) {
+    return { status: 'void', payout: this.amount };
+  }
+
+  const payout = legs.reduce((total, leg) => total * leg.payoutFraction / leg.price, this.amount);
+  return {
+    status: legs.every(leg => leg.status === 'won') ? 'won' : 'partial',
+    payout
+  };
+};
+
+module.exports = mongoose.model('Parlay', parlaySchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { fromOptionMap } = require('../utils/optionKeys');
+
+// One entry per change of a market's odds, forming its price time series
+const pricePointSchema = new mongoose.Schema({
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    required: true
+  },
+  odds: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+  // Option traded by the change that produced this point (null for e.g. market creation)
+  option: {
+    type: String,
+    default: null
+  },
+  volume: {
+    type: Number,
+    default: 0
+  },
+  source: {
+    type: String,
+    enum: ['create', 'bet', 'sell', 'cancel', 'liquidity'],
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+pricePointSchema.index({ marketId: 1, timestamp: 1 });
+
+// Static method to record the market's current odds
+pricePointSchema.statics.record = async function(market, { option = null, volume = 0, source }, session = null) {
+  const point = new this({
+    marketId: market._id,
+    odds: new Map(market.currentOdds),
+    option,
+    volume,
+    source
+  });
+
+  return await point.save({ session });
+};
+
+// Points in [from, to] plus the last point before `from`, which provides
+// the prices in effect at the start of the range
+pricePointSchema.statics.getRange = async function(marketId, from, to) {
+  const previous = await this.findOne({ marketId, timestamp: { $lt: from } })
+    .sort({ timestamp: -1 });
+
+  const points = await this.find({ marketId, timestamp: { $gte: from, $lte: to } })
+    .sort({ timestamp: 1 });
+
+  return previous ? [previous, ...points] : points;
+};
+
+// Static method to build per-option OHLC candles and traded volume for
+// buckets of `intervalMs`. Buckets without trades repeat the previous close.
+pricePointSchema.statics.getOHLC = async function(marketId, { from, to, intervalMs }) {
+  const points = await this.getRange(marketId, from, to);
+  const start = Math.floor(from.getTime() / intervalMs) * intervalMs;
+  const candles = {};
+  let lastOdds = null;
+  let index = 0;
+
+  // Skip past the carried-over point, remembering its prices
+  while (index < points.length && points[index].timestamp < from) {
+    lastOdds = fromOptionMap(points[index].odds);
+    index++;
+  }
+
+  for (let bucketStart = start; bucketStart <= to.getTime(); bucketStart += intervalMs) {
+    const bucketEnd = bucketStart + intervalMs;
+    const bucket = {};
+
+    if (lastOdds) {
+      Object.entries(lastOdds).forEach(([option, price]) => {
+        bucket[option] = { open: price, high: price, low: price, close: price, volume: 0 };
+      });
+    }
+
+    while (index < points.length && points[index].timestamp.getTime() < bucketEnd) {
+      const point = points[index];
+
+      Object.entries(fromOptionMap(point.odds)).forEach(([option, price]) => {
+        if (!bucket[option]) {
+          bucket[option] = { open: price, high: price, low: price, close: price, volume: 0 };
+        }
+        bucket[option].high = Math.max(bucket[option].high, price);
+        bucket[option].low = Math.min(bucket[option].low, price);
+        bucket[option].close = price;
+      });
+
+      if (point.option && bucket[point.option]) {
+        bucket[point.option].volume += point.volume;
+      }
+
+      lastOdds = fromOptionMap(point.odds);
+      index++;
+    }
+
+    Object.entries(bucket).forEach(([option, candle]) => {
+      if (!candles[option]) candles[option] = [];
+      candles[option].push({ time: bucketStart, ...candle });
+    });
+  }
+
+  return candles;
+};
+
+// Static method to build a downsampled line series with at most `points`
+// samples, each holding the prices in effect at the end of its slot
+pricePointSchema.statics.getLineSeries = async function(marketId, { from, to, points: maxPoints }) {
+  const points = await this.getRange(marketId, from, to);
+  const step = Math.max(1, Math.ceil((to.getTime() - from.getTime()) / maxPoints));
+  const series = [];
+  let lastOdds = null;
+  let index = 0;
+
+  for (let time = from.getTime() + step; time < to.getTime() + step; time += step) {
+    const slotEnd = Math.min(time, to.getTime());
+
+    while (index < points.length && points[index].timestamp.getTime() <= slotEnd) {
+      lastOdds = fromOptionMap(points[index].odds);
+      index++;
+    }
+
+    if (lastOdds) {
+      series.push({ time: slotEnd, ...lastOdds });
+    }
+  }
+
+  return series;
+};
+
+module.exports = mongoose.model('PricePoint', pricePointSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Result of checking cached user balances and the money supply against the ledger
+const reconciliationReportSchema = new mongoose.Schema({
+  // True when no drift or unbalanced journal was found
+  ok: {
+    type: Boolean,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['job', 'admin'],
+    default: 'job'
+  },
+  usersChecked: {
+    type: Number,
+    default: 0
+  },
+  // Users whose cached balance differs from their wallet account
+  userDrift: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    balance: Number,
+    ledgerBalance: Number,
+    drift: Number
+  }],
+  // Journals whose entries don't sum to zero
+  unbalancedJournals: [{
+    journalId: mongoose.Schema.Types.ObjectId,
+    total: Number
+  }],
+  // Units held by each kind of account. Drift is the total of the cached
+  // user balances minus the total of the wallet accounts.
+  supply: {
+    minted: { type: Number, default: 0 },
+    users: { type: Number, default: 0 },
+    markets: { type: Number, default: 0 },
+    house: { type: Number, default: 0 },
+    cachedUsers: { type: Number, default: 0 },
+    drift: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reconciliationReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
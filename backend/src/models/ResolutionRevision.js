@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Report of a resolved market being re-resolved to a different outcome
+const resolutionRevisionSchema = new mongoose.Schema({
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    required: true
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  // Resolutions as { outcome, payouts }
+  previousResolution: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  previousResolutionValue: {
+    type: Number,
+    default: null
+  },
+  newResolution: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  newResolutionValue: {
+    type: Number,
+    default: null
+  },
+  bets: [{
+    betId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bet' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    option: String,
+    previousStatus: String,
+    newStatus: String,
+    previousPayout: Number,
+    newPayout: Number
+  }],
+  users: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    balanceBefore: Number,
+    balanceAfter: Number,
+    delta: Number,
+    // Reversed winnings that couldn't be collected because the user's balance ran out
+    shortfall: Number
+  }],
+  totals: {
+    previousPaid: { type: Number, default: 0 },
+    newPaid: { type: Number, default: 0 },
+    shortfall: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+resolutionRevisionSchema.index({ marketId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ResolutionRevision', resolutionRevisionSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Tracks the settlement of a resolved market. Bets are settled one at a time
+// by the `settle_market` job; a bet still `active` has not been settled yet,
+// so the job can be re-run or resumed after a crash without paying twice.
+const settlementSchema = new mongoose.Schema({
+  marketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Market',
+    required: true,
+    unique: true
+  },
+  // Copy of the market's resolution being settled, as { outcome, payouts }
+  resolution: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // Runs of the settlement job so far
+  runs: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  summary: {
+    totalBets: { type: Number, default: 0 },
+    settledBets: { type: Number, default: 0 },
+    totalPaid: { type: Number, default: 0 },
+    winners: { type: Number, default: 0 },
+    losers: { type: Number, default: 0 },
+    partial: { type: Number, default: 0 },
+    refunded: { type: Number, default: 0 },
+    failures: { type: Number, default: 0 }
+  },
+  // Bets that could not be settled on the last run
+  failures: [{
+    betId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bet' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    attempts: Number,
+    error: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Method to check if every bet has been settled
+settlementSchema.methods.isComplete = function() {
+  return this.status === 'completed';
+};
+
+module.exports = mongoose.model('Settlement', settlementSchema);
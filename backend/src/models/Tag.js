@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Normalized form tags are stored in: lowercase, words joined by hyphens
+const normalizeTag = (tag) => typeof tag !== 'string'
+  ? tag
+  : tag.trim().toLowerCase().replace(/[\s_]+/g, '-').replace(/-+/g, '-');
+
+// Registry of the tags used on markets. Markets store the tag's slug.
+const tagSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    maxlength: 50,
+    set: normalizeTag
+  },
+  // Display name, e.g. "World Cup" for world-cup
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  }
+}, {
+  timestamps: true
+});
+
+tagSchema.statics.normalize = normalizeTag;
+
+module.exports = mongoose.model('Tag', tagSchema);
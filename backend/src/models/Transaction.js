@@ -8,7 +8,11 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['bet', 'win', 'refund', 'admin_adjustment', 'deposit', 'withdrawal'],
+    enum: [
+      'starting_balance', 'opening_balance', 'bet', 'win', 'settlement_reversal', 'sell', 'refund',
+      'order_escrow', 'order_release', 'admin_adjustment', 'deposit', 'withdrawal',
+      'parlay_bet', 'parlay_win', 'parlay_refund'
+    ],
     required: true
   },
   amount: {
@@ -38,6 +42,11 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Market',
     default: null
   },
+  relatedParlayId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parlay',
+    default: null
+  },
   adminId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -53,26 +62,4 @@ transactionSchema.index({ type: 1, createdAt: -1 });
 transactionSchema.index({ relatedBetId: 1 });
 transactionSchema.index({ relatedMarketId: 1 });
 
-// Static method to create transaction
-transactionSchema.statics.createTransaction = async function(data) {
-  const User = mongoose.model('User');
-  const user = await User.findById(data.userId);
-  
-  if (!user) {
-    throw new Error('User not found');
-  }
-
-  const transaction = new this({
-    ...data,
-    balanceBefore: user.balance,
-    balanceAfter: user.balance + data.amount
-  });
-
-  // Update user balance
-  user.balance += data.amount;
-  await user.save();
-
-  return await transaction.save();
-};
-
 module.exports = mongoose.model('Transaction', transactionSchema);
@@ -22,9 +22,11 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 8
   },
+  // Cached wallet balance, only changed through the ledger service. New users
+  // receive STARTING_BALANCE from the mint when they register.
   balance: {
     type: Number,
-    default: parseInt(process.env.STARTING_BALANCE) || 1000,
+    default: 0,
     min: 0
   },
   totalWinnings: {
@@ -43,6 +45,11 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Bets on options that paid out in part
+  partialBets: {
+    type: Number,
+    default: 0
+  },
   winRate: {
     type: Number,
     default: 0
@@ -123,6 +130,42 @@ userSchema.methods.updateWinRate = function() {
   }
 };
 
+// Recompute betting stats from the user's bets (refunded bets don't count).
+// Partial wins count towards the win rate by the fraction they paid out.
+userSchema.methods.recalculateStats = async function(session = null) {
+  const Bet = mongoose.model('Bet');
+  const bets = await Bet.find({ userId: this._id, status: { $ne: 'refunded' } })
+    .session(session);
+
+  this.totalBets = bets.length;
+  this.winningBets = 0;
+  this.partialBets = 0;
+  this.totalWinnings = 0;
+  this.totalLosses = 0;
+  let wins = 0;
+
+  bets.forEach(bet => {
+    if (bet.status === 'active') return;
+
+    const profit = bet.actualPayout + bet.saleProceeds - bet.amount;
+    if (bet.status === 'won') {
+      this.winningBets += 1;
+      wins += 1;
+    } else if (bet.status === 'partial') {
+      this.partialBets += 1;
+      wins += bet.payoutFraction;
+    }
+
+    if (profit > 0) {
+      this.totalWinnings += profit;
+    } else {
+      this.totalLosses -= profit;
+    }
+  });
+
+  this.winRate = this.totalBets > 0 ? (wins / this.totalBets) * 100 : 0;
+};
+
 // Add achievement method
 userSchema.methods.addAchievement = function(achievementType) {
   const existingAchievement = this.achievements.find(a => a.type === achievementType);
@@ -1,10 +1,24 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Market = require('../models/Market');
 const Bet = require('../models/Bet');
 const Transaction = require('../models/Transaction');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const ledger = require('../services/ledgerService');
+const { reconcile } = require('../services/reconciliationService');
+const {
+  EXPORT_COLUMNS,
+  fromCsvRecord,
+  importMarkets,
+  exportMarkets,
+  toCsvRecord
+} = require('../services/marketTransferService');
+const { parseCsv, toCsv } = require('../utils/csv');
 const { auth, adminAuth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { withConflictRetry } = require('../utils/retry');
 
 const router = express.Router();
 
@@ -119,7 +133,7 @@ router.get('/users', async (req, res) => {
 });
 
 // Adjust user balance
-router.post('/users/:id/balance', [
+router.post('/users/:id/balance', idempotency, [
   body('amount')
     .isInt()
     .withMessage('Amount must be an integer'),
@@ -145,38 +159,41 @@ router.post('/users/:id/balance', [
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const oldBalance = user.balance;
-    user.balance += amount;
-    
-    if (user.balance < 0) {
-      return res.status(400).json({ error: 'Insufficient balance for this adjustment' });
+    if (amount === 0) {
+      return res.status(400).json({ error: 'Adjustment amount cannot be zero' });
     }
 
-    await user.save();
+    if (user.balance + amount < 0) {
+      return res.status(400).json({ error: 'Insufficient balance for this adjustment' });
+    }
 
-    // Create transaction
-    await Transaction.createTransaction({
-      userId,
+    // Adjustments create units from (or return them to) the mint
+    const transaction = await ledger.transfer({
+      from: amount > 0 ? ledger.MINT : ledger.userAccount(userId),
+      to: amount > 0 ? ledger.userAccount(userId) : ledger.MINT,
+      amount: Math.abs(amount),
       type: 'admin_adjustment',
-      amount,
       description: `Admin adjustment: ${reason}`,
       adminId: req.user._id
     });
 
     res.json({
       message: 'Balance adjusted successfully',
-      oldBalance,
-      newBalance: user.balance,
+      oldBalance: transaction.balanceBefore,
+      newBalance: transaction.balanceAfter,
       adjustment: amount
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Insufficient balance for this adjustment' });
+    }
     console.error('Adjust balance error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Generate virtual currency
-router.post('/generate-units', [
+router.post('/generate-units', idempotency, [
   body('amount')
     .isInt({ min: 1, max: 1000000 })
     .withMessage('Amount must be between 1 and 1,000,000'),
@@ -203,14 +220,11 @@ router.post('/generate-units', [
         return res.status(404).json({ error: 'User not found' });
       }
 
-      const oldBalance = user.balance;
-      user.balance += amount;
-      await user.save();
-
-      await Transaction.createTransaction({
-        userId,
-        type: 'admin_adjustment',
+      const transaction = await ledger.transfer({
+        from: ledger.MINT,
+        to: ledger.userAccount(userId),
         amount,
+        type: 'admin_adjustment',
         description: `Admin: Generated ${amount} units`,
         adminId: req.user._id
       });
@@ -218,8 +232,8 @@ router.post('/generate-units', [
       res.json({
         message: `Generated ${amount} units for user ${user.username}`,
         userId,
-        oldBalance,
-        newBalance: user.balance
+        oldBalance: transaction.balanceBefore,
+        newBalance: transaction.balanceAfter
       });
     } else {
       // Distribute equally to all users
@@ -230,18 +244,32 @@ router.post('/generate-units', [
         return res.status(400).json({ error: 'Amount too small to distribute' });
       }
 
-      for (const user of users) {
-        user.balance += amountPerUser;
-        await user.save();
-
-        await Transaction.createTransaction({
-          userId: user._id,
-          type: 'admin_adjustment',
-          amount: amountPerUser,
-          description: `Admin: Generated ${amountPerUser} units (airdrop)`,
-          adminId: req.user._id
-        });
-      }
+      // Credit everyone in one transaction, so a failure part way through
+      // doesn't leave some users paid and a retry paying them again
+      await withConflictRetry(async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+          for (const user of users) {
+            await ledger.transfer({
+              from: ledger.MINT,
+              to: ledger.userAccount(user._id),
+              amount: amountPerUser,
+              type: 'admin_adjustment',
+              description: `Admin: Generated ${amountPerUser} units (airdrop)`,
+              adminId: req.user._id
+            }, session);
+          }
+
+          await session.commitTransaction();
+          session.endSession();
+        } catch (error) {
+          await session.abortTransaction();
+          session.endSession();
+          throw error;
+        }
+      });
 
       res.json({
         message: `Generated ${amountPerUser} units for each of ${users.length} users`,
@@ -392,6 +420,152 @@ router.get('/audit-log', async (req, res) => {
   }
 });
 
+// Balances of the house and mint accounts
+router.get('/ledger/accounts', async (req, res) => {
+  try {
+    const [house, mint] = await Promise.all([
+      ledger.getAccountBalance(ledger.HOUSE),
+      ledger.getAccountBalance(ledger.MINT)
+    ]);
+
+    res.json({
+      house,
+      minted: -mint
+    });
+  } catch (error) {
+    console.error('Get ledger accounts error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Run a ledger reconciliation now
+router.post('/ledger/reconcile', async (req, res) => {
+  try {
+    const report = await reconcile('admin');
+
+    res.json({
+      message: report.ok ? 'Ledger is consistent' : 'Ledger drift detected',
+      report
+    });
+  } catch (error) {
+    console.error('Reconcile ledger error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get recent reconciliation reports
+router.get('/ledger/reconciliations', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const reports = await ReconciliationReport.find()
+      .populate('userDrift.userId', 'username')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ reports });
+  } catch (error) {
+    console.error('Get reconciliations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Import markets from JSON ({ markets: [...] }) or a text/csv body. Every row
+// is validated first; with dryRun=true only the row errors are returned.
+router.post('/markets/import', express.text({ type: 'text/csv', limit: '10mb' }), [
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    let rows;
+    if (req.is('text/csv')) {
+      rows = parseCsv(typeof req.body === 'string' ? req.body : '').map(fromCsvRecord);
+    } else if (Array.isArray(req.body.markets)) {
+      rows = req.body.markets;
+    } else {
+      return res.status(400).json({ error: 'Send a markets array as JSON or a CSV body' });
+    }
+
+    const report = await importMarkets(rows, {
+      creatorId: req.user._id,
+      scheduler: req.app.get('scheduler'),
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    if (!report.dryRun && report.invalid > 0) {
+      return res.status(400).json({
+        error: 'Import has invalid rows, nothing was imported',
+        report
+      });
+    }
+
+    res.status(report.dryRun ? 200 : 201).json({
+      message: report.dryRun
+        ? `Dry run: ${report.valid} of ${report.total} rows are valid`
+        : `Imported ${report.created.length} markets`,
+      report
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Import markets error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Export markets with their options, odds and resolutions as JSON or CSV
+router.get('/markets/export', [
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('status').optional().isIn(['open', 'closed', 'pending_resolution', 'resolved', 'cancelled']).withMessage('Invalid status'),
+  query(['createdFrom', 'createdTo']).optional().isISO8601().withMessage('Dates must be ISO 8601')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.createdFrom || req.query.createdTo) {
+      filter.createdAt = {};
+      if (req.query.createdFrom) filter.createdAt.$gte = new Date(req.query.createdFrom);
+      if (req.query.createdTo) filter.createdAt.$lte = new Date(req.query.createdTo);
+    }
+
+    const markets = await exportMarkets(filter);
+    const filename = `markets-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(toCsv(markets.map(toCsvRecord), EXPORT_COLUMNS));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json({
+      exportedAt: new Date(),
+      count: markets.length,
+      markets
+    });
+  } catch (error) {
+    console.error('Export markets error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Toggle user status
 router.post('/users/:id/toggle-status', async (req, res) => {
   try {
@@ -1,7 +1,9 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const ledger = require('../services/ledgerService');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -53,14 +55,35 @@ router.post('/register', [
       });
     }
 
-    // Create new user
+    // Create new user and mint their starting balance
     const user = new User({
       username,
       email,
       password
     });
 
-    await user.save();
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      await user.save({ session });
+
+      const transaction = await ledger.transfer({
+        from: ledger.MINT,
+        to: ledger.userAccount(user._id),
+        amount: parseInt(process.env.STARTING_BALANCE) || 1000,
+        type: 'starting_balance',
+        description: 'Starting balance'
+      }, session);
+      user.balance = transaction.balanceAfter;
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
 
     // Generate token
     const token = generateToken(user._id);
@@ -152,6 +175,7 @@ router.get('/me', auth, async (req, res) => {
         totalLosses: req.user.totalLosses,
         totalBets: req.user.totalBets,
         winningBets: req.user.winningBets,
+        partialBets: req.user.partialBets,
         winRate: req.user.winRate,
         achievements: req.user.achievements,
         preferences: req.user.preferences,
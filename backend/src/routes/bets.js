@@ -1,15 +1,21 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Bet = require('../models/Bet');
+const Parlay = require('../models/Parlay');
 const Market = require('../models/Market');
 const User = require('../models/User');
-const Transaction = require('../models/Transaction');
+const PricePoint = require('../models/PricePoint');
 const { auth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { getExposureLimits, getExposure, getPositions } = require('../services/positionService');
+const ledger = require('../services/ledgerService');
+const { quoteParlay, placeParlay } = require('../services/parlayService');
+const { withConflictRetry } = require('../utils/retry');
 
 const router = express.Router();
 
 // Place a bet
-router.post('/', auth, [
+router.post('/', auth, idempotency, [
   body('marketId')
     .notEmpty()
     .withMessage('Market ID is required')
@@ -21,6 +27,15 @@ router.post('/', auth, [
   body('amount')
     .isInt({ min: 1 })
     .withMessage('Amount must be at least 1')
+    .toInt(),
+  body('maxPrice')
+    .optional()
+    .isFloat({ gt: 0, max: 1 })
+    .withMessage('Maximum price must be between 0 and 1'),
+  body('minPayout')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum payout must be a non-negative number')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -32,6 +47,8 @@ router.post('/', auth, [
     }
 
     const { marketId, option, amount } = req.body;
+    const maxPrice = req.body.maxPrice !== undefined ? parseFloat(req.body.maxPrice) : null;
+    const minPayout = req.body.minPayout !== undefined ? parseFloat(req.body.minPayout) : null;
     const user = req.user;
 
     // Check if user has sufficient balance
@@ -54,91 +71,141 @@ router.post('/', auth, [
       return res.status(400).json({ error: 'Invalid betting option' });
     }
 
-    // Check if user already has a bet on this market (optional rule)
-    const existingBet = await Bet.findOne({ 
-      userId: user._id, 
-      marketId, 
-      status: 'active' 
+    const limits = getExposureLimits();
+
+    // Price the bet, check the slippage limits and place it in one
+    // transaction. If another trade moves the market in between, the save
+    // conflicts and the bet is re-priced against the new state.
+    const placed = await withConflictRetry(async () => {
+      const session = await require('mongoose').startSession();
+      session.startTransaction();
+
+      try {
+        const current = await Market.findById(marketId).session(session);
+        if (!current.isOpen()) {
+          await session.abortTransaction();
+          session.endSession();
+          return { error: 'Market is not open for betting' };
+        }
+
+        // Check exposure caps. Concurrent bets by the same user both update
+        // the user, so one of them conflicts and is checked again.
+        const exposure = await getExposure(req.user._id, marketId, session);
+
+        if (exposure.market + amount > limits.perMarket) {
+          await session.abortTransaction();
+          session.endSession();
+          return {
+            error: `Bet would exceed the maximum exposure of ${limits.perMarket} units on this market`,
+            currentExposure: exposure.market
+          };
+        }
+
+        if (exposure.total + amount > limits.total) {
+          await session.abortTransaction();
+          session.endSession();
+          return {
+            error: `Bet would exceed the maximum total exposure of ${limits.total} units`,
+            currentExposure: exposure.total
+          };
+        }
+
+        // Buy shares from the market maker at the LMSR integral cost
+        const quote = current.quoteBuy(option, amount);
+
+        if (maxPrice !== null && quote.averagePrice > maxPrice) {
+          await session.abortTransaction();
+          session.endSession();
+          return { error: 'Average price is above your maximum price', quote };
+        }
+
+        if (minPayout !== null && quote.potentialPayout < minPayout) {
+          await session.abortTransaction();
+          session.endSession();
+          return { error: 'Payout is below your minimum payout', quote };
+        }
+
+        const { shares, averagePrice } = current.buyShares(option, amount);
+
+        // Create bet
+        const bet = new Bet({
+          userId: req.user._id,
+          marketId,
+          option,
+          amount,
+          oddsAtTime: averagePrice,
+          shares
+        });
+
+        // Calculate potential payout
+        bet.calculatePotentialPayout();
+
+        // Deduct from user balance
+        const user = await User.findById(req.user._id).session(session);
+        if (user.balance < amount) {
+          await session.abortTransaction();
+          session.endSession();
+          return { error: 'Insufficient balance' };
+        }
+
+        user.totalBets += 1;
+        await user.save({ session });
+
+        // Save bet
+        await bet.save({ session });
+
+        // Move the stake into the market's account
+        await ledger.transfer({
+          from: ledger.userAccount(user._id),
+          to: ledger.marketAccount(marketId),
+          amount,
+          type: 'bet',
+          description: `Bet ${amount} units on ${option} for market: ${current.title}`,
+          relatedBetId: bet._id,
+          relatedMarketId: marketId
+        }, session);
+
+        // Update participant count
+        const participantCount = await Bet.distinct('userId', { marketId }).session(session);
+        current.participantCount = participantCount.length;
+        await current.save({ session });
+        await PricePoint.record(current, { option, volume: amount, source: 'bet' }, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return { bet, market: current, user };
+      } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+      }
     });
 
-    if (existingBet) {
-      return res.status(400).json({ error: 'You already have an active bet on this market' });
-    }
-
-    // Get current odds for the option
-    const currentOdds = market.currentOdds.get(option);
-    if (!currentOdds) {
-      return res.status(400).json({ error: 'Odds not available for this option' });
-    }
-
-    // Start transaction for atomicity
-    const session = await require('mongoose').startSession();
-    session.startTransaction();
-
-    try {
-      // Create bet
-      const bet = new Bet({
-        userId: user._id,
-        marketId,
-        option,
-        amount,
-        oddsAtTime: currentOdds
-      });
-
-      // Calculate potential payout
-      bet.calculatePotentialPayout();
-
-      // Deduct from user balance
-      user.balance -= amount;
-      user.totalBets += 1;
-      await user.save({ session });
-
-      // Save bet
-      await bet.save({ session });
-
-      // Create transaction
-      await Transaction.createTransaction({
-        userId: user._id,
-        type: 'bet',
-        amount: -amount,
-        description: `Bet ${amount} units on ${option} for market: ${market.title}`,
-        relatedBetId: bet._id,
-        relatedMarketId: marketId
+    if (placed.error) {
+      return res.status(400).json({
+        error: placed.error,
+        quote: placed.quote,
+        currentExposure: placed.currentExposure
       });
+    }
 
-      // Update market odds
-      await market.updateOdds();
-
-      // Update participant count
-      const participantCount = await Bet.distinct('userId', { marketId });
-      market.participantCount = participantCount.length;
-      await market.save({ session });
-
-      await session.commitTransaction();
-      session.endSession();
-
-      // Add achievement for first bet
-      if (user.totalBets === 1) {
-        user.addAchievement('first_bet');
-        await user.save();
-      }
+    const { bet } = placed;
 
-      // Emit real-time update
-      const WebSocketService = require('../services/websocketService');
-      const wsService = new WebSocketService();
-      wsService.broadcastBetUpdate(bet, market);
+    // Add achievement for first bet
+    if (placed.user.totalBets === 1) {
+      placed.user.addAchievement('first_bet');
+      await placed.user.save();
+    }
 
-      res.status(201).json({
-        message: 'Bet placed successfully',
-        bet: await Bet.findById(bet._id)
-          .populate('marketId', 'title currentOdds')
-      });
+    // Emit real-time update
+    req.app.get('wsService').broadcastBetUpdate(bet, placed.market);
 
-    } catch (error) {
-      await session.abortTransaction();
-      session.endSession();
-      throw error;
-    }
+    res.status(201).json({
+      message: 'Bet placed successfully',
+      bet: await Bet.findById(bet._id)
+        .populate('marketId', 'title currentOdds')
+    });
 
   } catch (error) {
     console.error('Place bet error:', error);
@@ -150,7 +217,7 @@ router.post('/', auth, [
 router.get('/my-bets', auth, [
   query('status')
     .optional()
-    .isIn(['active', 'won', 'lost', 'refunded'])
+    .isIn(['active', 'won', 'lost', 'partial', 'refunded', 'sold'])
     .withMessage('Invalid status'),
   query('page')
     .optional()
@@ -219,6 +286,27 @@ router.get('/active', auth, async (req, res) => {
   }
 });
 
+// Get net position on a market
+router.get('/positions/:marketId', auth, async (req, res) => {
+  try {
+    const market = await Market.findById(req.params.marketId);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    const [position] = await getPositions(req.user._id, { marketId: market._id });
+
+    res.json({
+      marketId: market._id,
+      positions: position ? position.positions : [],
+      totals: position ? position.totals : { costBasis: 0, marketValue: 0, potentialPayout: 0, unrealizedPnl: 0 }
+    });
+  } catch (error) {
+    console.error('Get position error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get bet history
 router.get('/history', auth, [
   query('page')
@@ -245,7 +333,7 @@ router.get('/history', auth, [
 
     const bets = await Bet.find({ 
       userId: req.user._id, 
-      status: { $in: ['won', 'lost', 'refunded'] }
+      status: { $in: ['won', 'lost', 'partial', 'refunded', 'sold'] }
     })
       .populate('marketId', 'title category resolution')
       .sort({ settledAt: -1 })
@@ -254,7 +342,7 @@ router.get('/history', auth, [
 
     const total = await Bet.countDocuments({ 
       userId: req.user._id, 
-      status: { $in: ['won', 'lost', 'refunded'] }
+      status: { $in: ['won', 'lost', 'partial', 'refunded', 'sold'] }
     });
 
     res.json({
@@ -272,6 +360,161 @@ router.get('/history', auth, [
   }
 });
 
+const parlayLegValidators = [
+  body('legs')
+    .isArray({ min: 2 })
+    .withMessage('A parlay needs at least 2 legs'),
+  body('legs.*.marketId')
+    .isMongoId()
+    .withMessage('Invalid market ID'),
+  body('legs.*.option')
+    .isString()
+    .notEmpty()
+    .withMessage('Option is required'),
+  body('amount')
+    .isInt({ min: 1 })
+    .withMessage('Amount must be at least 1')
+];
+
+// Quote a parlay at the markets' current prices
+router.post('/parlays/quote', auth, parlayLegValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const amount = parseInt(req.body.amount);
+    const quote = await quoteParlay(req.body.legs, amount);
+
+    res.json({ amount, ...quote });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Quote parlay error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Place a parlay
+router.post('/parlays', auth, idempotency, [
+  ...parlayLegValidators,
+  body('minPayout')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum payout must be a non-negative number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const parlay = await withConflictRetry(() => placeParlay(req.user._id, {
+      legs: req.body.legs,
+      amount: parseInt(req.body.amount),
+      minPayout: req.body.minPayout !== undefined ? parseFloat(req.body.minPayout) : null
+    }));
+
+    res.status(201).json({
+      message: 'Parlay placed successfully',
+      parlay
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Place parlay error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get user's parlays
+router.get('/parlays', auth, [
+  query('status')
+    .optional()
+    .isIn(['active', 'won', 'lost', 'partial', 'void'])
+    .withMessage('Invalid status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { userId: req.user._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const parlays = await Parlay.find(filter)
+      .populate('legs.marketId', 'title status resolution')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Parlay.countDocuments(filter);
+
+    res.json({
+      parlays,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get parlays error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get specific parlay
+router.get('/parlays/:id', auth, async (req, res) => {
+  try {
+    const parlay = await Parlay.findById(req.params.id)
+      .populate('legs.marketId', 'title category endDate status resolution currentOdds')
+      .populate('userId', 'username');
+
+    if (!parlay) {
+      return res.status(404).json({ error: 'Parlay not found' });
+    }
+
+    // Check if user owns this parlay or is admin
+    if (parlay.userId._id.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ parlay });
+  } catch (error) {
+    console.error('Get parlay error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get specific bet
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -314,6 +557,12 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(400).json({ error: 'Cannot cancel settled bet' });
     }
 
+    // Order book fills are backed by the counterparty's collateral, not the
+    // market maker's
+    if (bet.source === 'orderbook') {
+      return res.status(400).json({ error: 'Order book positions cannot be cancelled' });
+    }
+
     // Check if market is still open
     const market = await Market.findById(bet.marketId);
     if (!market.isOpen()) {
@@ -326,49 +575,247 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(400).json({ error: 'Can only cancel bets within 5 minutes of placement' });
     }
 
-    // Start transaction
-    const session = await require('mongoose').startSession();
-    session.startTransaction();
-
-    try {
-      // Refund bet
-      bet.refund();
-      await bet.save({ session });
-
-      // Refund user balance
-      const user = await User.findById(req.user._id).session(session);
-      user.balance += bet.amount;
-      await user.save({ session });
-
-      // Create transaction
-      await Transaction.createTransaction({
-        userId: user._id,
-        type: 'refund',
-        amount: bet.amount,
-        description: `Refunded bet on market: ${market.title}`,
-        relatedBetId: bet._id,
-        relatedMarketId: market._id
+    // Refund in one transaction, re-reading the bet so a concurrent cancel or
+    // a retry can't refund it twice
+    const cancelled = await withConflictRetry(async () => {
+      const session = await require('mongoose').startSession();
+      session.startTransaction();
+
+      try {
+        const position = await Bet.findOne({ _id: bet._id, status: 'active' }).session(session);
+        if (!position) {
+          await session.abortTransaction();
+          session.endSession();
+          return { error: 'Cannot cancel settled bet' };
+        }
+
+        // Sell the shares back to the market maker and refund what they're
+        // worth now, so a cancel can't undo a bet the price moved against
+        const current = await Market.findById(position.marketId).session(session);
+        const { proceeds } = current.sellShares(position.option, position.shares);
+        await current.save({ session });
+
+        position.refund(proceeds);
+        await position.save({ session });
+        await PricePoint.record(current, { option: position.option, source: 'cancel' }, session);
+
+        // Refund the stake from the market's account
+        await ledger.transfer({
+          from: ledger.marketAccount(current._id),
+          to: ledger.userAccount(req.user._id),
+          amount: position.actualPayout,
+          type: 'refund',
+          description: `Refunded bet on market: ${current.title}`,
+          relatedBetId: position._id,
+          relatedMarketId: current._id
+        }, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return { bet: position };
+      } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+      }
+    });
+
+    if (cancelled.error) {
+      return res.status(400).json({ error: cancelled.error });
+    }
+
+    res.json({
+      message: 'Bet cancelled successfully',
+      bet: cancelled.bet
+    });
+
+  } catch (error) {
+    console.error('Cancel bet error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a quote for selling shares of a bet back to the market maker
+router.get('/:id/sell-quote', auth, [
+  query('shares')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Shares must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
       });
+    }
 
-      // Update market odds
-      await market.updateOdds();
+    const bet = await Bet.findById(req.params.id);
+    if (!bet) {
+      return res.status(404).json({ error: 'Bet not found' });
+    }
 
-      await session.commitTransaction();
-      session.endSession();
+    if (bet.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (bet.status !== 'active') {
+      return res.status(400).json({ error: 'Only active bets can be sold' });
+    }
+
+    if (bet.source === 'orderbook') {
+      return res.status(400).json({ error: 'Order book positions cannot be sold to the market maker' });
+    }
+
+    const shares = req.query.shares ? parseFloat(req.query.shares) : bet.shares;
+    if (shares > bet.shares + 1e-9) {
+      return res.status(400).json({ error: 'Cannot sell more shares than the bet holds' });
+    }
+
+    const market = await Market.findById(bet.marketId);
+    const quote = market.quoteSell(bet.option, Math.min(shares, bet.shares));
+
+    res.json({
+      betId: bet._id,
+      option: bet.option,
+      shares: Math.min(shares, bet.shares),
+      currentPrice: market.getPrice(bet.option),
+      ...quote,
+      marketOpen: market.isOpen()
+    });
+  } catch (error) {
+    console.error('Get sell quote error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-      res.json({
-        message: 'Bet cancelled successfully',
-        bet
+// Sell all or part of a bet back to the market maker at the current price
+router.post('/:id/sell', auth, [
+  body('shares')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Shares must be a positive number'),
+  body('minProceeds')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum proceeds must be a non-negative number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
       });
+    }
 
-    } catch (error) {
-      await session.abortTransaction();
-      session.endSession();
-      throw error;
+    const bet = await Bet.findById(req.params.id);
+    if (!bet) {
+      return res.status(404).json({ error: 'Bet not found' });
+    }
+
+    if (bet.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (bet.status !== 'active') {
+      return res.status(400).json({ error: 'Only active bets can be sold' });
+    }
+
+    if (bet.source === 'orderbook') {
+      return res.status(400).json({ error: 'Order book positions cannot be sold to the market maker' });
     }
 
+    const market = await Market.findById(bet.marketId);
+    if (!market.isOpen()) {
+      return res.status(400).json({ error: 'Cannot sell after market has closed' });
+    }
+
+    const requested = req.body.shares !== undefined ? parseFloat(req.body.shares) : bet.shares;
+    if (requested > bet.shares + 1e-9) {
+      return res.status(400).json({ error: 'Cannot sell more shares than the bet holds' });
+    }
+    const shares = Math.min(requested, bet.shares);
+
+    const minProceeds = req.body.minProceeds !== undefined ? parseFloat(req.body.minProceeds) : null;
+
+    // Sell at the current price in one transaction, re-pricing if another
+    // trade moves the market in between
+    const sold = await withConflictRetry(async () => {
+      const session = await require('mongoose').startSession();
+      session.startTransaction();
+
+      try {
+        const current = await Market.findById(bet.marketId).session(session);
+        const position = await Bet.findById(bet._id).session(session);
+
+        if (position.status !== 'active' || shares > position.shares + 1e-9) {
+          await session.abortTransaction();
+          session.endSession();
+          return { error: 'Bet no longer holds these shares' };
+        }
+
+        const { proceeds, averagePrice } = current.sellShares(position.option, shares);
+
+        if (minProceeds !== null && proceeds < minProceeds) {
+          await session.abortTransaction();
+          session.endSession();
+          return { error: 'Proceeds are below the requested minimum', proceeds };
+        }
+
+        position.sell(shares, proceeds);
+        await position.save({ session });
+        await current.save({ session });
+        await PricePoint.record(current, { option: position.option, volume: proceeds, source: 'sell' }, session);
+
+        // Pay the proceeds out of the market's account
+        await ledger.transfer({
+          from: ledger.marketAccount(current._id),
+          to: ledger.userAccount(req.user._id),
+          amount: proceeds,
+          type: 'sell',
+          description: `Sold ${shares.toFixed(2)} shares of ${position.option} for market: ${current.title}`,
+          relatedBetId: position._id,
+          relatedMarketId: current._id
+        }, session);
+
+        if (position.status === 'sold') {
+          const user = await User.findById(req.user._id).session(session);
+          await user.recalculateStats(session);
+          await user.save({ session });
+        }
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return { bet: position, market: current, proceeds, averagePrice };
+      } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+      }
+    });
+
+    if (sold.error) {
+      return res.status(400).json({ error: sold.error, proceeds: sold.proceeds });
+    }
+
+    req.app.get('wsService').broadcastSellUpdate(sold.bet, sold.market, { shares, proceeds: sold.proceeds });
+
+    res.json({
+      message: 'Shares sold successfully',
+      bet: sold.bet,
+      sale: {
+        shares,
+        proceeds: sold.proceeds,
+        averagePrice: sold.averagePrice
+      }
+    });
+
   } catch (error) {
-    console.error('Cancel bet error:', error);
+    console.error('Sell bet error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -0,0 +1,238 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Category = require('../models/Category');
+const Market = require('../models/Market');
+const { auth, adminAuth } = require('../middleware/auth');
+const {
+  findCategoryParent,
+  getCategoryCounts,
+  renameCategory
+} = require('../services/taxonomyService');
+
+const router = express.Router();
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const categoryValidators = (optional) => {
+  const field = (path) => optional ? body(path).optional() : body(path);
+  return [
+    field('slug')
+      .trim()
+      .toLowerCase()
+      .isLength({ min: 2, max: 50 })
+      .matches(SLUG_PATTERN)
+      .withMessage('Slug must be 2-50 lowercase letters, digits and hyphens'),
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+    body('icon')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Icon must be at most 100 characters'),
+    body('order')
+      .optional()
+      .isInt()
+      .withMessage('Order must be an integer'),
+    body('parent')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('Parent must be a category slug')
+  ];
+};
+
+// Total markets of each node, its subcategories included
+const addMarketCounts = (nodes, counts) => nodes.reduce((sum, node) => {
+  node.marketCount = (counts.get(node.slug) || 0) + addMarketCounts(node.children, counts);
+  return sum + node.marketCount;
+}, 0);
+
+// Get the category tree with market counts
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true }).lean();
+    const tree = Category.buildTree(categories);
+    addMarketCounts(tree, await getCategoryCounts());
+
+    res.json({ categories: tree });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the markets of a category and its subcategories
+router.get('/:slug/markets', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['open', 'closed', 'pending_resolution', 'resolved', 'cancelled']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const category = await Category.findOne({ slug: req.params.slug });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { category: { $in: await Category.getTreeSlugs(category.slug) } };
+    if (req.query.status) filter.status = req.query.status;
+
+    const markets = await Market.find(filter)
+      .populate('creator', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Market.countDocuments(filter);
+
+    res.json({
+      category,
+      markets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get category markets error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a category (admin only)
+router.post('/', auth, adminAuth, categoryValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { slug, name, icon, order } = req.body;
+    if (await Category.exists({ slug })) {
+      return res.status(409).json({ error: 'Category already exists' });
+    }
+
+    const { parent, error } = await findCategoryParent(null, req.body.parent);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const category = new Category({
+      slug,
+      name,
+      icon: icon || null,
+      order: order || 0,
+      parent: parent ? parent._id : null
+    });
+    await category.save();
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a category, e.g. rename, reorder or move it (admin only)
+router.put('/:slug', auth, adminAuth, [
+  ...categoryValidators(true),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Active flag must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    let category = await Category.findOne({ slug: req.params.slug });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (req.body.parent !== undefined) {
+      const { parent, error } = await findCategoryParent(category, req.body.parent);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      category.parent = parent ? parent._id : null;
+    }
+
+    ['name', 'icon', 'order', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+
+    // A new slug moves the category's markets with it
+    if (req.body.slug && req.body.slug !== category.slug) {
+      category = await renameCategory(category, req.body.slug);
+    } else {
+      await category.save();
+    }
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete an unused category (admin only). Categories with markets can be
+// deactivated instead.
+router.delete('/:slug', auth, adminAuth, async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(400).json({ error: 'Category has subcategories' });
+    }
+
+    if (await Market.exists({ category: category.slug })) {
+      return res.status(400).json({ error: 'Category has markets, deactivate it instead' });
+    }
+
+    await category.deleteOne();
+
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
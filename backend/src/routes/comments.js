@@ -0,0 +1,293 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult, query } = require('express-validator');
+const Comment = require('../models/Comment');
+const Market = require('../models/Market');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { getPositionBadges } = require('../services/positionService');
+
+// Mounted under /api/markets/:marketId/comments
+const router = express.Router({ mergeParams: true });
+
+const COMMENT_SORTS = {
+  new: { createdAt: -1 },
+  top: { upvoteCount: -1, createdAt: -1 }
+};
+
+// Shape comments for the response, with each author's position badge.
+// Comments whose author no longer exists populate with a null userId.
+const toViews = async (marketId, comments, user) => {
+  const authorIds = [...new Set(comments
+    .filter(comment => comment.userId)
+    .map(comment => (comment.userId._id || comment.userId).toString()))];
+  const positions = await getPositionBadges(marketId, authorIds.map(id => new mongoose.Types.ObjectId(id)));
+  return comments.map(comment => comment.toView(user && user._id, positions));
+};
+
+// Find a comment of the market in the URL
+const findComment = (req) => Comment.findOne({
+  _id: req.params.commentId,
+  marketId: req.params.marketId
+});
+
+// Routes on one comment need valid IDs for it and its market
+const commentIdValidators = [
+  param('marketId').isMongoId().withMessage('Invalid market ID'),
+  param('commentId').isMongoId().withMessage('Invalid comment ID')
+];
+
+const bodyValidator = body('body')
+  .trim()
+  .isLength({ min: 1, max: 2000 })
+  .withMessage('Comment must be between 1 and 2000 characters');
+
+// Get a market's discussion: top-level comments with their replies
+router.get('/', optionalAuth, [
+  query('sort').optional().isIn(Object.keys(COMMENT_SORTS)).withMessage('Sort must be new or top'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.marketId)) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const sort = COMMENT_SORTS[req.query.sort || 'new'];
+    const filter = { marketId: req.params.marketId, parentId: null };
+
+    const threads = await Comment.find(filter)
+      .populate('userId', 'username')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    // Replies load oldest first; clients nest them by parentId
+    const replies = await Comment.find({ threadId: { $in: threads.map(thread => thread._id) } })
+      .populate('userId', 'username')
+      .sort({ createdAt: 1 });
+
+    const total = await Comment.countDocuments(filter);
+
+    const views = await toViews(req.params.marketId, [...threads, ...replies], req.user);
+    const replyViews = views.slice(threads.length);
+    const comments = views.slice(0, threads.length).map(thread => ({
+      ...thread,
+      replies: replyViews.filter(reply => reply.threadId.equals(thread._id))
+    }));
+
+    res.json({
+      comments,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Comment on a market, or reply to a comment with parentId
+router.post('/', auth, [
+  bodyValidator,
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.marketId) || !(await Market.exists({ _id: req.params.marketId }))) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    const comment = new Comment({
+      marketId: req.params.marketId,
+      userId: req.user._id,
+      body: req.body.body
+    });
+
+    if (req.body.parentId) {
+      const parent = await Comment.findOne({ _id: req.body.parentId, marketId: req.params.marketId });
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+      if (parent.isDeleted) {
+        return res.status(400).json({ error: 'Cannot reply to a deleted comment' });
+      }
+
+      comment.parentId = parent._id;
+      comment.threadId = parent.threadId || parent._id;
+    }
+
+    await comment.save();
+    if (comment.parentId) {
+      await Comment.updateOne({ _id: comment.parentId }, { $inc: { replyCount: 1 } });
+    }
+
+    await comment.populate('userId', 'username');
+    const [view] = await toViews(req.params.marketId, [comment], req.user);
+
+    req.app.get('wsService').broadcastNewComment(view);
+
+    res.status(201).json({
+      message: 'Comment posted',
+      comment: view
+    });
+  } catch (error) {
+    console.error('Post comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Edit a comment (its author only)
+router.put('/:commentId', auth, [...commentIdValidators, bodyValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const comment = await findComment(req);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!comment.userId.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Only the author can edit a comment' });
+    }
+
+    comment.edit(req.body.body);
+    await comment.save();
+
+    await comment.populate('userId', 'username');
+    const [view] = await toViews(req.params.marketId, [comment], req.user);
+
+    res.json({
+      message: 'Comment updated',
+      comment: view
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a comment (its author or an admin). Replies stay in the thread.
+router.delete('/:commentId', auth, commentIdValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const comment = await findComment(req);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!req.user.isAdmin && !comment.userId.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    comment.softDelete();
+    await comment.save();
+
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Upvote a comment
+router.post('/:commentId/upvote', auth, commentIdValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const comment = await findComment(req);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.userId.equals(req.user._id)) {
+      return res.status(400).json({ error: 'Cannot upvote your own comment' });
+    }
+
+    // Only counts once per user, even for concurrent requests
+    await Comment.updateOne(
+      { _id: comment._id, upvotes: { $ne: req.user._id } },
+      { $push: { upvotes: req.user._id }, $inc: { upvoteCount: 1 } }
+    );
+    const { upvoteCount } = await Comment.findById(comment._id).select('upvoteCount');
+
+    res.json({ upvoted: true, upvoteCount });
+  } catch (error) {
+    console.error('Upvote comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove an upvote
+router.delete('/:commentId/upvote', auth, commentIdValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const comment = await findComment(req);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    await Comment.updateOne(
+      { _id: comment._id, upvotes: req.user._id },
+      { $pull: { upvotes: req.user._id }, $inc: { upvoteCount: -1 } }
+    );
+    const { upvoteCount } = await Comment.findById(comment._id).select('upvoteCount');
+
+    res.json({ upvoted: false, upvoteCount });
+  } catch (error) {
+    console.error('Remove upvote error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
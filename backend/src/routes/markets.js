@@ -1,17 +1,56 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Market = require('../models/Market');
 const Bet = require('../models/Bet');
+const PricePoint = require('../models/PricePoint');
+const Dispute = require('../models/Dispute');
+const ResolutionRevision = require('../models/ResolutionRevision');
+const MarketRevision = require('../models/MarketRevision');
+const Settlement = require('../models/Settlement');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
 const { auth, adminAuth } = require('../middleware/auth');
+const {
+  closeJobKey,
+  finalizeJobKey,
+  scheduleResolutionFinalization,
+  getChallengePeriodMs
+} = require('../services/marketLifecycleService');
+const {
+  settleMarket,
+  retrySettlement,
+  getSettlementProgress,
+  reresolveMarket
+} = require('../services/settlementService');
+const { cancelMarket } = require('../services/cancellationService');
+const { cancelOpenOrders } = require('../services/matchingEngine');
+const { createMarket } = require('../services/marketService');
+const { registerTags } = require('../services/taxonomyService');
+const { readLiquidityReport, adjustLiquidity } = require('../services/liquidityService');
+const { marketValidators, tagValidators, conditionValidators, isKnownCategory } = require('../utils/marketValidation');
+const { withConflictRetry } = require('../utils/retry');
 
 const router = express.Router();
 
+// Bucket sizes supported by the price history endpoint
+const HISTORY_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+const MAX_HISTORY_BUCKETS = 1000;
+
 // Get all markets with filters
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('category').optional().isIn(['politics', 'sports', 'finance', 'technology', 'entertainment', 'other']).withMessage('Invalid category'),
-  query('status').optional().isIn(['open', 'closed', 'resolved']).withMessage('Invalid status'),
+  query('category').optional().custom(isKnownCategory),
+  query('status').optional().isIn(['open', 'closed', 'pending_resolution', 'resolved', 'cancelled']).withMessage('Invalid status'),
   query('sortBy').optional().isIn(['createdAt', 'endDate', 'totalVolume', 'viewCount']).withMessage('Invalid sort field'),
   query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
 ], async (req, res) => {
@@ -30,7 +69,8 @@ router.get('/', [
 
     // Build filter
     const filter = {};
-    if (req.query.category) filter.category = req.query.category;
+    // A category includes its subcategories
+    if (req.query.category) filter.category = { $in: await Category.getTreeSlugs(req.query.category) };
     if (req.query.status) filter.status = req.query.status;
     if (req.query.featured === 'true') filter.isFeatured = true;
 
@@ -63,19 +103,150 @@ router.get('/', [
   }
 });
 
+// Sort orders supported by market search
+const SEARCH_SORTS = {
+  relevance: { score: -1, totalVolume: -1 },
+  createdAt: { createdAt: -1 },
+  endDate: { endDate: 1 },
+  totalVolume: { totalVolume: -1 }
+};
+const SEARCH_TAG_FACET_LIMIT = 20;
+
+// Search markets by text, with facet counts by category, status and tag
+router.get('/search', [
+  query('q').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Query must be between 1 and 200 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('category').optional().custom(isKnownCategory),
+  query('status').optional().isIn(['open', 'closed', 'pending_resolution', 'resolved', 'cancelled']).withMessage('Invalid status'),
+  query('tag').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Tag must be between 1 and 50 characters'),
+  query(['endDateFrom', 'endDateTo', 'createdFrom', 'createdTo']).optional().isISO8601().withMessage('Dates must be ISO 8601'),
+  query('sortBy').optional().isIn(Object.keys(SEARCH_SORTS)).withMessage('Invalid sort field')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { q, category, status, tag, endDateFrom, endDateTo, createdFrom, createdTo } = req.query;
+
+    // Text and date filters apply to results and facets alike
+    const match = {};
+    if (q) match.$text = { $search: q };
+    if (endDateFrom || endDateTo) {
+      match.endDate = {};
+      if (endDateFrom) match.endDate.$gte = new Date(endDateFrom);
+      if (endDateTo) match.endDate.$lte = new Date(endDateTo);
+    }
+    if (createdFrom || createdTo) {
+      match.createdAt = {};
+      if (createdFrom) match.createdAt.$gte = new Date(createdFrom);
+      if (createdTo) match.createdAt.$lte = new Date(createdTo);
+    }
+
+    // Each facet is counted with the other facets' filters but not its own,
+    // so picking a category still shows how many markets the others have
+    const facetFilters = {};
+    if (category) facetFilters.category = { $in: await Category.getTreeSlugs(category) };
+    if (status) facetFilters.status = status;
+    if (tag) facetFilters.tags = Tag.normalize(tag);
+    const otherFilters = (field) => {
+      const filters = { ...facetFilters };
+      delete filters[field];
+      return filters;
+    };
+
+    const sortBy = req.query.sortBy || (q ? 'relevance' : 'createdAt');
+    const sort = sortBy === 'relevance' && !q ? SEARCH_SORTS.totalVolume : SEARCH_SORTS[sortBy];
+
+    const [result] = await Market.aggregate([
+      { $match: match },
+      ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          markets: [
+            { $match: facetFilters },
+            { $sort: { ...sort, _id: 1 } },
+            { $skip: skip },
+            { $limit: limit }
+          ],
+          total: [
+            { $match: facetFilters },
+            { $count: 'count' }
+          ],
+          categories: [
+            { $match: otherFilters('category') },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          statuses: [
+            { $match: otherFilters('status') },
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          tags: [
+            { $match: otherFilters('tags') },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: SEARCH_TAG_FACET_LIMIT }
+          ]
+        }
+      }
+    ]);
+
+    const markets = (await Market.populate(result.markets, { path: 'creator', select: 'username' }))
+      .map(Market.restoreOptionKeys);
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    const toCounts = (buckets) => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+
+    res.json({
+      markets,
+      facets: {
+        category: toCounts(result.categories),
+        status: toCounts(result.statuses),
+        tag: toCounts(result.tags)
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Search markets error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get specific market
 router.get('/:id', async (req, res) => {
   try {
     const market = await Market.findById(req.params.id)
-      .populate('creator', 'username');
+      .populate('creator', 'username')
+      .populate('series', 'name status')
+      .populate('condition.parentMarket', 'title status options resolution');
 
     if (!market) {
       return res.status(404).json({ error: 'Market not found' });
     }
 
-    // Increment view count
+    // Markets conditional on an outcome of this one
+    const conditionalMarkets = await Market.find({ 'condition.parentMarket': market._id })
+      .select('title status condition.outcome endDate')
+      .sort({ createdAt: 1 });
+
+    // Increment view count without touching the market's version
+    await Market.updateOne({ _id: market._id }, { $inc: { viewCount: 1 } });
     market.viewCount += 1;
-    await market.save();
 
     // Get recent bets for this market
     const recentBets = await Bet.find({ marketId: market._id })
@@ -85,6 +256,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       market,
+      conditionalMarkets,
       recentBets
     });
   } catch (error) {
@@ -94,34 +266,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new market (admin only)
-router.post('/', auth, adminAuth, [
-  body('title')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Title must be between 5 and 200 characters'),
-  body('description')
-    .trim()
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Description must be between 10 and 2000 characters'),
-  body('category')
-    .isIn(['politics', 'sports', 'finance', 'technology', 'entertainment', 'other'])
-    .withMessage('Invalid category'),
-  body('type')
-    .isIn(['binary', 'multiple', 'range'])
-    .withMessage('Invalid market type'),
-  body('options')
-    .isArray({ min: 2 })
-    .withMessage('At least 2 options are required'),
-  body('endDate')
-    .isISO8601()
-    .withMessage('End date must be a valid date')
-    .custom((value) => {
-      if (new Date(value) <= new Date()) {
-        throw new Error('End date must be in the future');
-      }
-      return true;
-    })
-], async (req, res) => {
+router.post('/', auth, adminAuth, [...marketValidators, ...conditionValidators], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -131,27 +276,12 @@ router.post('/', auth, adminAuth, [
       });
     }
 
-    const { title, description, category, type, options, endDate, tags, image, sourceUrl, isFeatured } = req.body;
-
-    const market = new Market({
-      title,
-      description,
-      category,
-      type,
-      options,
-      endDate: new Date(endDate),
-      tags: tags || [],
-      image: image || null,
-      sourceUrl: sourceUrl || null,
-      isFeatured: isFeatured || false,
-      creator: req.user._id
+    const market = await createMarket(req.body, {
+      creatorId: req.user._id,
+      condition: req.body.condition || null,
+      scheduler: req.app.get('scheduler')
     });
 
-    // Calculate initial odds
-    market.calculateInitialOdds();
-
-    await market.save();
-
     const populatedMarket = await Market.findById(market._id)
       .populate('creator', 'username');
 
@@ -160,6 +290,9 @@ router.post('/', auth, adminAuth, [
       market: populatedMarket
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create market error:', error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -176,7 +309,17 @@ router.put('/:id', auth, adminAuth, [
     .optional()
     .trim()
     .isLength({ min: 10, max: 2000 })
-    .withMessage('Description must be between 10 and 2000 characters')
+    .withMessage('Description must be between 10 and 2000 characters'),
+  body('resolutionCriteria')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Resolution criteria must be between 10 and 2000 characters'),
+  ...tagValidators,
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -187,13 +330,8 @@ router.put('/:id', auth, adminAuth, [
       });
     }
 
-    const market = await Market.findById(req.params.id);
-    if (!market) {
-      return res.status(404).json({ error: 'Market not found' });
-    }
-
     // Update allowed fields
-    const allowedUpdates = ['title', 'description', 'tags', 'image', 'sourceUrl', 'isFeatured'];
+    const allowedUpdates = ['title', 'description', 'resolutionCriteria', 'tags', 'image', 'sourceUrl', 'isFeatured'];
     const updates = {};
     
     allowedUpdates.forEach(field => {
@@ -202,27 +340,139 @@ router.put('/:id', auth, adminAuth, [
       }
     });
 
-    Object.assign(market, updates);
-    await market.save();
+    // The edit and its revision are saved together, and diffed again if a
+    // trade updates the market in between
+    const edited = await withConflictRetry(async () => {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        const market = await Market.findById(req.params.id).session(session);
+        if (!market) {
+          await session.abortTransaction();
+          session.endSession();
+          return { market: null };
+        }
+
+        const applied = { ...updates };
+        if (Array.isArray(applied.tags)) {
+          applied.tags = await registerTags(applied.tags, session);
+        }
+
+        const changes = MarketRevision.diff(market, applied);
+        if (changes.length === 0) {
+          await session.abortTransaction();
+          session.endSession();
+          return { market, revision: null };
+        }
+
+        const resolutionRelevant = changes.some(change => MarketRevision.RESOLUTION_FIELDS.includes(change.field));
+        const bettorIds = resolutionRelevant
+          ? await Bet.distinct('userId', { marketId: market._id, status: 'active' }).session(session)
+          : [];
+
+        Object.assign(market, applied);
+        market.revisionCount += 1;
+        await market.save({ session });
+
+        const [revision] = await MarketRevision.create([{
+          marketId: market._id,
+          version: market.revisionCount,
+          editorId: req.user._id,
+          reason: req.body.reason,
+          changes,
+          resolutionRelevant,
+          notifiedUsers: bettorIds.length
+        }], { session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return { market, revision, changes, bettorIds };
+      } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+      }
+    });
+
+    if (!edited.market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    const { market, revision, changes, bettorIds } = edited;
+    if (!revision) {
+      return res.json({
+        message: 'Market is unchanged',
+        market,
+        revision: null
+      });
+    }
+
+    // Bettors should know the terms they bet on have changed
+    const wsService = req.app.get('wsService');
+    const fields = changes
+      .filter(change => MarketRevision.RESOLUTION_FIELDS.includes(change.field))
+      .map(change => change.field)
+      .join(', ');
+    bettorIds.forEach(userId => {
+      wsService.sendNotification(userId, {
+        type: 'market_updated',
+        marketId: market._id,
+        revisionId: revision._id,
+        title: 'Market terms changed',
+        message: `The ${fields} of "${market.title}", which you have a position in, changed: ${revision.reason}`
+      });
+    });
 
     const updatedMarket = await Market.findById(market._id)
       .populate('creator', 'username');
 
     res.json({
       message: 'Market updated successfully',
-      market: updatedMarket
+      market: updatedMarket,
+      revision
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update market error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Resolve market (admin only)
+// Get a market's edit history, newest first
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const market = await Market.findById(req.params.id).select('_id revisionCount');
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    const revisions = await MarketRevision.find({ marketId: market._id })
+      .populate('editorId', 'username')
+      .sort({ version: -1 });
+
+    res.json({
+      revisions,
+      revisionCount: market.revisionCount
+    });
+  } catch (error) {
+    console.error('Get market revisions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Propose a resolution (admin only). Settlement waits for the challenge period.
 router.post('/:id/resolve', auth, adminAuth, [
   body('resolution')
     .notEmpty()
-    .withMessage('Resolution is required')
+    .withMessage('Resolution is required'),
+  body('evidence')
+    .trim()
+    .isLength({ min: 5, max: 2000 })
+    .withMessage('Evidence must be between 5 and 2000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -242,87 +492,568 @@ router.post('/:id/resolve', auth, adminAuth, [
       return res.status(400).json({ error: 'Market cannot be resolved' });
     }
 
-    const { resolution } = req.body;
+    // A conditional market resolves only once its parent met the condition
+    if (market.condition) {
+      const parent = await Market.findById(market.condition.parentMarket);
+      if (parent && !market.isConditionMet(parent)) {
+        return res.status(400).json({ error: 'Parent market has not resolved to the linked outcome yet' });
+      }
+    }
 
     // Check if resolution is valid
-    if (!market.options.includes(resolution)) {
-      return res.status(400).json({ error: 'Invalid resolution option' });
+    const resolution = market.parseResolution(req.body.resolution);
+    if (resolution === null) {
+      return res.status(400).json({ 
+        error: market.type === 'range' 
+          ? 'Range markets must be resolved with a numeric value or N/A' 
+          : 'Resolution must be an option, N/A, or payout fractions per option that sum to 1' 
+      });
     }
 
-    // Resolve market
-    market.resolve(resolution);
-    await market.save();
+    const wsService = req.app.get('wsService');
+    const scheduler = req.app.get('scheduler');
 
-    // Settle all bets for this market
-    const Bet = require('../models/Bet');
-    const User = require('../models/User');
-    const Transaction = require('../models/Transaction');
+    // Release the escrow of resting orders before trading stops
+    await cancelOpenOrders(market, wsService);
 
-    const activeBets = await Bet.find({ marketId: market._id, status: 'active' });
+    // Trades may still update the market, so a conflicting save is retried
+    // on a fresh copy
+    const proposed = await withConflictRetry(async () => {
+      const current = await Market.findById(market._id);
+      if (current.status !== 'open' && current.status !== 'closed') {
+        return null;
+      }
 
-    for (const bet of activeBets) {
-      const session = await mongoose.startSession();
-      session.startTransaction();
+      current.proposeResolution(resolution, req.body.evidence, req.user._id, getChallengePeriodMs());
+      await current.save();
+      return current;
+    });
+    if (!proposed) {
+      return res.status(400).json({ error: 'Market cannot be resolved' });
+    }
 
-      try {
-        bet.settle(resolution);
-        await bet.save({ session });
-
-        const user = await User.findById(bet.userId).session(session);
-
-        if (bet.status === 'won') {
-          user.balance += bet.actualPayout;
-          user.totalWinnings += bet.actualPayout - bet.amount;
-          user.winningBets += 1;
-          
-          // Add achievement for first win
-          if (user.winningBets === 1) {
-            user.addAchievement('first_win');
-          }
-        }
+    await scheduler.cancel(closeJobKey(proposed._id));
+    await scheduleResolutionFinalization(scheduler, proposed);
 
-        user.totalBets += 1;
-        user.updateWinRate();
-        await user.save({ session });
+    wsService.broadcastMarketStatusChange(proposed);
 
-        // Create transaction
-        await Transaction.createTransaction({
-          userId: bet.userId,
-          type: bet.status === 'won' ? 'win' : 'loss',
-          amount: bet.actualPayout - bet.amount,
-          description: `Bet ${bet.status === 'won' ? 'won' : 'lost'} on market: ${market.title}`,
-          relatedBetId: bet._id,
-          relatedMarketId: market._id
-        });
+    res.json({
+      message: 'Resolution proposed, challenge period started',
+      market: proposed
+    });
+  } catch (error) {
+    console.error('Resolve market error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-        await session.commitTransaction();
-        session.endSession();
+// Get disputes filed against a market's proposed resolution
+router.get('/:id/disputes', async (req, res) => {
+  try {
+    const market = await Market.findById(req.params.id);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
 
-      } catch (error) {
-        await session.abortTransaction();
-        session.endSession();
-        console.error('Error settling bet:', error);
+    const disputes = await Dispute.find({ marketId: market._id })
+      .populate('userId', 'username')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      marketId: market._id,
+      proposedResolution: market.proposedResolution,
+      disputes
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Dispute a proposed resolution (position holders only)
+router.post('/:id/disputes', auth, [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Reason must be between 10 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const market = await Market.findById(req.params.id);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    if (!market.isChallengeOpen()) {
+      return res.status(400).json({ error: 'Market has no resolution open to disputes' });
+    }
+
+    const position = await Bet.findOne({ marketId: market._id, userId: req.user._id, status: 'active' });
+    if (!position) {
+      return res.status(403).json({ error: 'Only users holding a position can dispute the resolution' });
+    }
+
+    const existingDispute = await Dispute.findOne({ marketId: market._id, userId: req.user._id, status: 'open' });
+    if (existingDispute) {
+      return res.status(400).json({ error: 'You already have an open dispute on this market' });
+    }
+
+    let suggestedResolution = null;
+    if (req.body.suggestedResolution !== undefined) {
+      suggestedResolution = market.parseResolution(req.body.suggestedResolution);
+      if (suggestedResolution === null) {
+        return res.status(400).json({ error: 'Invalid suggested resolution' });
+      }
+    }
+
+    const dispute = new Dispute({
+      marketId: market._id,
+      userId: req.user._id,
+      reason: req.body.reason,
+      suggestedResolution
+    });
+    await dispute.save();
+
+    // Let admins know a ruling will be needed
+    const wsService = req.app.get('wsService');
+    const admins = await User.find({ isAdmin: true, isActive: true }).select('_id');
+    admins.forEach(admin => {
+      wsService.sendNotification(admin._id, {
+        type: 'resolution_disputed',
+        marketId: market._id,
+        title: 'Resolution disputed',
+        message: `The proposed resolution of "${market.title}" has been disputed`
+      });
+    });
+
+    res.status(201).json({
+      message: 'Dispute filed successfully',
+      dispute
+    });
+  } catch (error) {
+    console.error('File dispute error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rule on a proposed resolution and settle the market (a second admin only)
+router.post('/:id/ruling', auth, adminAuth, [
+  body('decision')
+    .isIn(['confirm', 'overturn'])
+    .withMessage('Decision must be confirm or overturn'),
+  body('resolution')
+    .if(body('decision').equals('overturn'))
+    .notEmpty()
+    .withMessage('Resolution is required when overturning'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const market = await Market.findById(req.params.id);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    if (market.status !== 'pending_resolution') {
+      return res.status(400).json({ error: 'Market has no pending resolution' });
+    }
+
+    if (market.proposedResolution.proposedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({ error: 'The ruling must come from a different admin than the proposer' });
+    }
+
+    const { decision } = req.body;
+    let outcome = market.proposedResolution.outcome;
+
+    if (decision === 'overturn') {
+      outcome = market.parseResolution(req.body.resolution);
+      if (outcome === null) {
+        return res.status(400).json({ error: 'Invalid resolution option' });
       }
     }
 
+    // The disputes are ruled on in the same transaction that resolves the
+    // market, so a failed settlement leaves both as they were
+    const scheduler = req.app.get('scheduler');
+    const { market: resolved, settlement } = await settleMarket(market._id, outcome, scheduler, {
+      prepare: async (current, session) => {
+        await Dispute.updateMany(
+          { marketId: current._id, status: 'open' },
+          { $set: { 
+            status: decision === 'overturn' ? 'upheld' : 'rejected', 
+            reviewedBy: req.user._id, 
+            reviewedAt: new Date() 
+          } },
+          { session }
+        );
+
+        current.proposedResolution.ruling = decision === 'overturn' ? 'overturned' : 'confirmed';
+        current.proposedResolution.ruledBy = req.user._id;
+        current.proposedResolution.ruledAt = new Date();
+        current.proposedResolution.rulingNotes = req.body.notes || null;
+      }
+    });
+    await scheduler.cancel(finalizeJobKey(market));
+
     res.json({
-      message: 'Market resolved successfully',
-      market
+      message: 'Market resolved, settlement started',
+      market: resolved,
+      settlement
     });
   } catch (error) {
-    console.error('Resolve market error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Resolution ruling error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get market statistics
-router.get('/:id/stats', async (req, res) => {
+// Re-resolve an incorrectly resolved market, rolling back its settlement (admin only)
+router.post('/:id/reresolve', auth, adminAuth, [
+  body('resolution')
+    .notEmpty()
+    .withMessage('Resolution is required'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const market = await Market.findById(req.params.id);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    if (market.status !== 'resolved') {
+      return res.status(400).json({ error: 'Only resolved markets can be re-resolved' });
+    }
+
+    const settlement = await Settlement.findOne({ marketId: market._id });
+    if (settlement && !settlement.isComplete()) {
+      return res.status(400).json({ error: 'Market settlement has not completed yet' });
+    }
+
+    const resolution = market.parseResolution(req.body.resolution);
+    if (resolution === null) {
+      return res.status(400).json({ error: 'Invalid resolution option' });
+    }
+
+    const revision = await reresolveMarket(market, resolution, {
+      reason: req.body.reason,
+      adminId: req.user._id,
+      wsService: req.app.get('wsService'),
+      scheduler: req.app.get('scheduler')
+    });
+
+    res.json({
+      message: 'Market re-resolved successfully',
+      market,
+      report: revision
+    });
+  } catch (error) {
+    console.error('Re-resolve market error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the settlement progress of a resolved market
+router.get('/:id/settlement', async (req, res) => {
+  try {
+    const market = await Market.findById(req.params.id);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    const settlement = await Settlement.findOne({ marketId: market._id })
+      .populate('failures.userId', 'username');
+    if (!settlement) {
+      return res.status(404).json({ error: 'Market has no settlement' });
+    }
+
+    // Finished settlements report their final summary, running ones live counts
+    const progress = settlement.isComplete() 
+      ? settlement.summary 
+      : await getSettlementProgress(market);
+
+    res.json({
+      settlement,
+      progress: {
+        ...progress,
+        percentComplete: progress.totalBets > 0 
+          ? (progress.settledBets / progress.totalBets) * 100 
+          : 100
+      }
+    });
+  } catch (error) {
+    console.error('Get settlement error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Retry a settlement that failed (admin only)
+router.post('/:id/settlement/retry', auth, adminAuth, async (req, res) => {
+  try {
+    const settlement = await Settlement.findOne({ marketId: req.params.id });
+    if (!settlement) {
+      return res.status(404).json({ error: 'Market has no settlement' });
+    }
+
+    if (settlement.status !== 'failed') {
+      return res.status(400).json({ error: 'Only failed settlements can be retried' });
+    }
+
+    await retrySettlement(settlement, req.app.get('scheduler'));
+
+    res.json({
+      message: 'Settlement queued for retry',
+      settlement
+    });
+  } catch (error) {
+    console.error('Retry settlement error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get re-resolution reports for a market (admin only)
+router.get('/:id/reresolutions', auth, adminAuth, async (req, res) => {
+  try {
+    const revisions = await ResolutionRevision.find({ marketId: req.params.id })
+      .populate('adminId', 'username')
+      .populate('users.userId', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Get resolution revisions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel market and refund all active bets (admin only)
+router.post('/:id/cancel', auth, adminAuth, [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Reason must be between 5 and 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const market = await Market.findById(req.params.id);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    if (!['open', 'closed', 'pending_resolution'].includes(market.status)) {
+      return res.status(400).json({ error: 'Market cannot be cancelled' });
+    }
+
+    const summary = await cancelMarket(market, {
+      reason: req.body.reason,
+      adminId: req.user._id,
+      wsService: req.app.get('wsService'),
+      scheduler: req.app.get('scheduler')
+    });
+
+    res.json({
+      message: 'Market cancelled successfully',
+      market,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Cancel market error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add liquidity to an open market or withdraw it, funded by the house (admin only)
+router.post('/:id/liquidity', auth, adminAuth, [
+  body('action')
+    .isIn(['add', 'withdraw'])
+    .withMessage('Action must be add or withdraw'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const amount = parseFloat(req.body.amount);
+    const result = await withConflictRetry(() => adjustLiquidity(req.params.id, {
+      change: req.body.action === 'add' ? amount : -amount,
+      adminId: req.user._id
+    }));
+
+    req.app.get('wsService').broadcastLiquidityUpdate(result.market);
+
+    res.json({
+      message: req.body.action === 'add' ? 'Liquidity added' : 'Liquidity withdrawn',
+      market: result.market,
+      previousLiquidity: result.previousLiquidity,
+      funded: result.funded,
+      report: result.report
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Adjust liquidity error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a pre-trade quote for spending `amount` units on an option
+router.get('/:id/quote', [
+  query('option').notEmpty().withMessage('Option is required'),
+  query('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
     const market = await Market.findById(req.params.id);
     if (!market) {
       return res.status(404).json({ error: 'Market not found' });
     }
 
+    const { option } = req.query;
+    if (!market.options.includes(option)) {
+      return res.status(400).json({ error: 'Invalid betting option' });
+    }
+
+    const amount = parseFloat(req.query.amount);
+
+    res.json({
+      marketId: market._id,
+      option,
+      amount,
+      ...market.quoteBuy(option, amount),
+      marketOpen: market.isOpen()
+    });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get price history as OHLC candles or a downsampled line series
+router.get('/:id/history', [
+  query('interval').optional().isIn(Object.keys(HISTORY_INTERVALS)).withMessage('Invalid interval'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('format').optional().isIn(['ohlc', 'line']).withMessage('Format must be ohlc or line'),
+  query('points').optional().isInt({ min: 2, max: MAX_HISTORY_BUCKETS }).withMessage(`Points must be between 2 and ${MAX_HISTORY_BUCKETS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const market = await Market.findById(req.params.id);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : market.createdAt;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if (from >= to) {
+      return res.status(400).json({ error: 'From must be before to' });
+    }
+
+    if (req.query.format === 'line') {
+      const points = parseInt(req.query.points) || 200;
+      const series = await PricePoint.getLineSeries(market._id, { from, to, points });
+
+      return res.json({
+        marketId: market._id,
+        options: market.options,
+        from,
+        to,
+        series
+      });
+    }
+
+    const interval = req.query.interval || '1h';
+    const intervalMs = HISTORY_INTERVALS[interval];
+    if ((to - from) / intervalMs > MAX_HISTORY_BUCKETS) {
+      return res.status(400).json({ error: 'Too many buckets for this range, use a larger interval' });
+    }
+
+    const candles = await PricePoint.getOHLC(market._id, { from, to, intervalMs });
+
+    res.json({
+      marketId: market._id,
+      options: market.options,
+      interval,
+      from,
+      to,
+      candles
+    });
+  } catch (error) {
+    console.error('Get market history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get market statistics
+router.get('/:id/stats', async (req, res) => {
+  try {
+    // The market and its liquidity figures come from the same snapshot
+    const snapshot = await readLiquidityReport(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+    const { market, report } = snapshot;
+
     const stats = await Bet.aggregate([
       { $match: { marketId: market._id } },
       {
@@ -334,11 +1065,20 @@ router.get('/:id/stats', async (req, res) => {
       }
     ]);
 
+    const { liquidity, subsidy, liabilities, exposure, worstCaseLoss } = report;
+
     res.json({
       marketId: market._id,
       totalVolume: market.totalVolume,
       participantCount: market.participantCount,
-      currentOdds: Object.fromEntries(market.currentOdds),
+      currentOdds: market.getOdds(),
+      outstandingShares: market.getShares(),
+      liquidity,
+      maxLoss: market.getMaxLoss(),
+      subsidy,
+      liabilities,
+      exposure,
+      worstCaseLoss,
       optionStats: stats
     });
   } catch (error) {
@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Order = require('../models/Order');
+const Market = require('../models/Market');
+const { auth } = require('../middleware/auth');
+const { roundPrice, getDepth, placeOrder, cancelOrder } = require('../services/matchingEngine');
+
+const router = express.Router();
+
+// Place a limit order
+router.post('/', auth, [
+  body('marketId')
+    .notEmpty()
+    .withMessage('Market ID is required')
+    .isMongoId()
+    .withMessage('Invalid market ID'),
+  body('outcome')
+    .notEmpty()
+    .withMessage('Outcome is required'),
+  body('price')
+    .isFloat({ min: 0.01, max: 0.99 })
+    .withMessage('Price must be between 0.01 and 0.99')
+    .custom((value) => {
+      if (Math.abs(value * 100 - Math.round(value * 100)) > 1e-9) {
+        throw new Error('Price must be a multiple of 0.01');
+      }
+      return true;
+    }),
+  body('quantity')
+    .isInt({ min: 1, max: 1000000 })
+    .withMessage('Quantity must be between 1 and 1,000,000 shares')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { marketId, outcome } = req.body;
+    const price = roundPrice(Number(req.body.price));
+    const quantity = Number(req.body.quantity);
+
+    const market = await Market.findById(marketId);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    if (market.type !== 'binary' || !market.orderBookEnabled) {
+      return res.status(400).json({ error: 'Order book is not enabled for this market' });
+    }
+
+    if (!market.isOpen()) {
+      return res.status(400).json({ error: 'Market is not open for trading' });
+    }
+
+    if (!market.options.includes(outcome)) {
+      return res.status(400).json({ error: 'Invalid outcome' });
+    }
+
+    const { order, fills } = await placeOrder(market, req.user._id, { outcome, price, quantity }, req.app.get('wsService'));
+
+    res.status(201).json({
+      message: fills.length > 0 ? 'Order placed and matched' : 'Order placed',
+      order,
+      fills
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Place order error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get user's orders
+router.get('/', auth, [
+  query('marketId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid market ID'),
+  query('status')
+    .optional()
+    .isIn(['open', 'partially_filled', 'filled', 'cancelled'])
+    .withMessage('Invalid status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { userId: req.user._id };
+    if (req.query.marketId) filter.marketId = req.query.marketId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const orders = await Order.find(filter)
+      .populate('marketId', 'title status options')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get depth book for a market
+router.get('/book/:marketId', async (req, res) => {
+  try {
+    const market = await Market.findById(req.params.marketId);
+    if (!market) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+
+    if (market.type !== 'binary' || !market.orderBookEnabled) {
+      return res.status(400).json({ error: 'Order book is not enabled for this market' });
+    }
+
+    res.json({
+      marketId: market._id,
+      book: await getDepth(market)
+    });
+  } catch (error) {
+    console.error('Get order book error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel an order
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!order.isResting()) {
+      return res.status(400).json({ error: 'Order is no longer open' });
+    }
+
+    const market = await Market.findById(order.marketId);
+    const cancelled = await cancelOrder(order, market, req.app.get('wsService'));
+
+    res.json({
+      message: 'Order cancelled successfully',
+      order: cancelled
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancel order error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
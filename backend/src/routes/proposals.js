@@ -0,0 +1,410 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const MarketProposal = require('../models/MarketProposal');
+const Market = require('../models/Market');
+const { auth, adminAuth } = require('../middleware/auth');
+const { createMarket } = require('../services/marketService');
+const { marketValidators, validateFields } = require('../utils/marketValidation');
+
+const router = express.Router();
+
+// Proposals take the market fields plus how and from where they'll be resolved
+const proposalValidators = [
+  ...marketValidators,
+  body('resolutionCriteria')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Resolution criteria must be between 10 and 2000 characters'),
+  body('sourceUrl')
+    .trim()
+    .isURL()
+    .withMessage('Source must be a valid URL')
+];
+
+// Fields of a proposal that can be submitted or edited
+const PROPOSAL_FIELDS = [
+  'title', 'description', 'category', 'type', 'options', 'range', 'endDate',
+  'tags', 'image', 'sourceUrl', 'resolutionCriteria', 'orderBookEnabled'
+];
+
+const notifyProposer = (req, proposal, notification) => {
+  req.app.get('wsService').sendNotification(proposal.proposer, {
+    proposalId: proposal._id,
+    ...notification
+  });
+};
+
+// Submit a market proposal
+router.post('/', auth, proposalValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const proposal = new MarketProposal({ proposer: req.user._id });
+    PROPOSAL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        proposal[field] = req.body[field];
+      }
+    });
+    await proposal.save();
+
+    res.status(201).json({
+      message: 'Proposal submitted for review',
+      proposal
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Submit proposal error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the current user's proposals
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const proposals = await MarketProposal.find({ proposer: req.user._id })
+      .populate('marketId', 'title status')
+      .sort({ createdAt: -1 });
+
+    res.json({ proposals });
+  } catch (error) {
+    console.error('Get my proposals error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the review queue (admin only), oldest first
+router.get('/', auth, adminAuth, [
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'merged']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = { status: req.query.status || 'pending' };
+
+    const proposals = await MarketProposal.find(filter)
+      .populate('proposer', 'username')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await MarketProposal.countDocuments(filter);
+
+    res.json({
+      proposals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get proposals error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a proposal (its proposer or an admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const proposal = await MarketProposal.findById(req.params.id)
+      .populate('proposer', 'username')
+      .populate('reviewedBy', 'username')
+      .populate('marketId', 'title status');
+
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    if (!req.user.isAdmin && proposal.proposer._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ proposal });
+  } catch (error) {
+    console.error('Get proposal error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Edit a pending proposal before deciding on it (admin only)
+router.put('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const proposal = await MarketProposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    if (proposal.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending proposals can be edited' });
+    }
+
+    // Validate the proposal as it will look after the edit
+    const fields = proposal.getMarketFields();
+    PROPOSAL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+    });
+
+    const errors = await validateFields(req, fields, proposalValidators);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    // validateFields leaves the sanitized fields in req.body. The update only
+    // applies while the proposal is pending, so it can't undo a decision.
+    const updates = {};
+    PROPOSAL_FIELDS.forEach(field => {
+      updates[field] = req.body[field];
+    });
+    const updated = await MarketProposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'pending' },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(400).json({ error: 'Only pending proposals can be edited' });
+    }
+
+    res.json({
+      message: 'Proposal updated successfully',
+      proposal: updated
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update proposal error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Approve a proposal and create its market, crediting the proposer (admin only)
+router.post('/:id/approve', auth, adminAuth, async (req, res) => {
+  try {
+    const proposal = await MarketProposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    if (proposal.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending proposals can be approved' });
+    }
+
+    // Claim the proposal first so two admins approving it at once can't both
+    // create a market, and an edit or another decision can't land in between
+    const claimed = await MarketProposal.reviewPending(proposal._id, 'approved', req.user._id, req.body.feedback);
+    if (!claimed) {
+      return res.status(400).json({ error: 'Only pending proposals can be approved' });
+    }
+
+    // Put the proposal back in the queue
+    const release = () => MarketProposal.updateOne(
+      { _id: claimed._id, status: 'approved', marketId: null },
+      { $set: { status: 'pending', reviewedBy: null, reviewedAt: null, feedback: null } }
+    );
+
+    // The market is built from the proposal as claimed. Its end date may have
+    // passed while it waited in the queue.
+    const fields = claimed.getMarketFields();
+    const errors = await validateFields(req, fields, proposalValidators);
+    if (!errors.isEmpty()) {
+      await release();
+      return res.status(400).json({
+        error: 'Proposal is no longer valid, edit it before approving',
+        details: errors.array()
+      });
+    }
+
+    let market;
+    try {
+      market = await createMarket(fields, {
+        creatorId: req.user._id,
+        proposedBy: claimed.proposer,
+        scheduler: req.app.get('scheduler')
+      });
+    } catch (error) {
+      await release();
+      throw error;
+    }
+
+    claimed.marketId = market._id;
+    await claimed.save();
+
+    notifyProposer(req, claimed, {
+      type: 'proposal_approved',
+      marketId: market._id,
+      title: 'Proposal approved',
+      message: `Your proposal "${claimed.title}" was approved and is now a market`
+    });
+
+    res.json({
+      message: 'Proposal approved and market created',
+      proposal: claimed,
+      market
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Approve proposal error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reject a proposal with feedback for the proposer (admin only)
+router.post('/:id/reject', auth, adminAuth, [
+  body('feedback')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Feedback must be between 5 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const proposal = await MarketProposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    const rejected = await MarketProposal.reviewPending(proposal._id, 'rejected', req.user._id, req.body.feedback);
+    if (!rejected) {
+      return res.status(400).json({ error: 'Only pending proposals can be rejected' });
+    }
+
+    notifyProposer(req, rejected, {
+      type: 'proposal_rejected',
+      title: 'Proposal rejected',
+      message: `Your proposal "${rejected.title}" was rejected: ${rejected.feedback}`
+    });
+
+    res.json({
+      message: 'Proposal rejected',
+      proposal: rejected
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Reject proposal error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Merge a duplicate into another proposal or an existing market (admin only)
+router.post('/:id/merge', auth, adminAuth, [
+  body('targetProposalId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target proposal ID'),
+  body('targetMarketId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target market ID')
+    .custom((value, { req }) => {
+      if (req.body.targetProposalId) {
+        throw new Error('Merge into either a proposal or a market, not both');
+      }
+      return true;
+    }),
+  body('feedback')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Feedback must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { targetProposalId, targetMarketId, feedback } = req.body;
+    if (!targetProposalId && !targetMarketId) {
+      return res.status(400).json({ error: 'A target proposal or market is required' });
+    }
+
+    const proposal = await MarketProposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    if (proposal.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending proposals can be merged' });
+    }
+
+    let target;
+    const mergedInto = {};
+    if (targetProposalId) {
+      target = await MarketProposal.findById(targetProposalId);
+      if (!target || target._id.equals(proposal._id) || !['pending', 'approved'].includes(target.status)) {
+        return res.status(400).json({ error: 'Target proposal must be another pending or approved proposal' });
+      }
+      mergedInto.mergedIntoProposal = target._id;
+    } else {
+      target = await Market.findById(targetMarketId);
+      if (!target) {
+        return res.status(404).json({ error: 'Target market not found' });
+      }
+      mergedInto.mergedIntoMarket = target._id;
+    }
+
+    const merged = await MarketProposal.reviewPending(proposal._id, 'merged', req.user._id, feedback, mergedInto);
+    if (!merged) {
+      return res.status(400).json({ error: 'Only pending proposals can be merged' });
+    }
+
+    notifyProposer(req, merged, {
+      type: 'proposal_merged',
+      marketId: targetMarketId || target.marketId || null,
+      title: 'Proposal merged',
+      message: `Your proposal "${merged.title}" duplicates "${target.title}" and was merged into it`
+    });
+
+    res.json({
+      message: 'Proposal merged',
+      proposal: merged
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Merge proposal error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const MarketSeries = require('../models/MarketSeries');
+const Market = require('../models/Market');
+const { auth, adminAuth } = require('../middleware/auth');
+const {
+  scheduleNextInstance,
+  rescheduleSeries,
+  validateInstance
+} = require('../services/seriesService');
+
+const router = express.Router();
+
+// Template fields an instance is rendered from
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'category', 'type', 'options', 'range', 'tags',
+  'image', 'sourceUrl', 'resolutionCriteria', 'orderBookEnabled'
+];
+
+// Recurrence settings that can change once a series exists. The frequency,
+// interval and start define which instance is which, so they are fixed.
+const MUTABLE_RECURRENCE_FIELDS = ['durationHours', 'leadTimeHours', 'until'];
+
+const recurrenceValidators = (optional) => {
+  const field = (path) => optional ? body(path).optional() : body(path);
+  return [
+    field('recurrence.durationHours')
+      .isFloat({ min: 1, max: 24 * 366 })
+      .withMessage('Duration must be between 1 hour and a year'),
+    body('recurrence.leadTimeHours')
+      .optional()
+      .isFloat({ min: 0, max: 24 * 366 })
+      .withMessage('Lead time must be between 0 hours and a year'),
+    body('recurrence.until')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Until must be a valid date')
+  ];
+};
+
+const pickTemplate = (fields) => {
+  const template = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      template[field] = fields[field];
+    }
+  });
+  return template;
+};
+
+// Get all market series
+router.get('/', [
+  query('status').optional().isIn(['active', 'paused', 'ended']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const series = await MarketSeries.find(filter)
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({ series });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a series with its instances and their resolutions, newest first
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await MarketSeries.findById(req.params.id)
+      .populate('createdBy', 'username');
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const instances = await Market.find({ series: series._id })
+      .select('title status endDate seriesIndex totalVolume resolution resolutionDate currentOdds')
+      .sort({ seriesIndex: -1 });
+
+    const next = series.status === 'active' && series.hasOccurrence(series.nextIndex)
+      ? { index: series.nextIndex, ...series.getOccurrence(series.nextIndex) }
+      : null;
+
+    res.json({
+      series,
+      instances,
+      next
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a market series (admin only)
+router.post('/', auth, adminAuth, [
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Name must be between 3 and 200 characters'),
+  body('template')
+    .isObject()
+    .withMessage('Template is required'),
+  body('recurrence.frequency')
+    .isIn(['daily', 'weekly', 'monthly'])
+    .withMessage('Frequency must be daily, weekly or monthly'),
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365'),
+  body('recurrence.startsAt')
+    .isISO8601()
+    .withMessage('Start must be a valid date'),
+  ...recurrenceValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { name, template, recurrence } = req.body;
+    const series = new MarketSeries({
+      name,
+      template: pickTemplate(template),
+      recurrence,
+      createdBy: req.user._id
+    });
+
+    // Series may start in the past; begin with the first instance still running
+    series.nextIndex = series.getUpcomingIndex();
+
+    const invalid = await validateInstance(series, series.nextIndex);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    await series.save();
+    await scheduleNextInstance(req.app.get('scheduler'), series);
+
+    res.status(201).json({
+      message: 'Market series created successfully',
+      series,
+      next: { index: series.nextIndex, ...series.getOccurrence(series.nextIndex) }
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a series' name, template or timing. Applies to instances not yet
+// created (admin only).
+router.put('/:id', auth, adminAuth, [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Name must be between 3 and 200 characters'),
+  body('template')
+    .optional()
+    .isObject()
+    .withMessage('Template must be an object'),
+  body('recurrence')
+    .optional()
+    .isObject()
+    .withMessage('Recurrence must be an object')
+    .custom((recurrence) => {
+      if (Object.keys(recurrence).some(field => !MUTABLE_RECURRENCE_FIELDS.includes(field))) {
+        throw new Error('Only the duration, lead time and until date of a series can be changed');
+      }
+      return true;
+    }),
+  ...recurrenceValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const series = await MarketSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (series.status === 'ended') {
+      return res.status(400).json({ error: 'Cannot update an ended series' });
+    }
+
+    const { name, template, recurrence } = req.body;
+    if (name !== undefined) series.name = name;
+    if (template) {
+      series.template = { ...series.template.toObject(), ...pickTemplate(template) };
+    }
+    if (recurrence) {
+      MUTABLE_RECURRENCE_FIELDS.forEach(field => {
+        if (recurrence[field] !== undefined) {
+          series.recurrence[field] = recurrence[field];
+        }
+      });
+    }
+
+    series.nextIndex = series.getUpcomingIndex(series.nextIndex);
+    const invalid = await validateInstance(series, series.nextIndex);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    // The next instance may now be due at a different time
+    await series.save();
+    if (series.status === 'active') {
+      await rescheduleSeries(req.app.get('scheduler'), series);
+    }
+
+    res.json({
+      message: 'Market series updated successfully',
+      series
+    });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Stop creating instances (admin only)
+router.post('/:id/pause', auth, adminAuth, async (req, res) => {
+  try {
+    const series = await MarketSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (series.status !== 'active') {
+      return res.status(400).json({ error: 'Only active series can be paused' });
+    }
+
+    series.status = 'paused';
+    series.pausedReason = null;
+    await series.save();
+
+    res.json({
+      message: 'Market series paused',
+      series
+    });
+  } catch (error) {
+    console.error('Pause series error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resume a paused series from its next upcoming instance (admin only)
+router.post('/:id/resume', auth, adminAuth, async (req, res) => {
+  try {
+    const series = await MarketSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (series.status !== 'paused') {
+      return res.status(400).json({ error: 'Only paused series can be resumed' });
+    }
+
+    // Don't resume into a template that still can't create its next instance
+    const upcoming = series.getUpcomingIndex(series.nextIndex);
+    if (series.hasOccurrence(upcoming)) {
+      const invalid = await validateInstance(series, upcoming);
+      if (invalid) {
+        return res.status(400).json(invalid);
+      }
+    }
+
+    series.status = 'active';
+    series.pausedReason = null;
+    await rescheduleSeries(req.app.get('scheduler'), series);
+
+    res.json({
+      message: series.status === 'ended' ? 'Market series has no upcoming instances' : 'Market series resumed',
+      series
+    });
+  } catch (error) {
+    console.error('Resume series error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Tag = require('../models/Tag');
+const Market = require('../models/Market');
+const { auth, adminAuth } = require('../middleware/auth');
+const {
+  getTagCounts,
+  renameTag,
+  mergeTags
+} = require('../services/taxonomyService');
+
+const router = express.Router();
+
+// Escape a string for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Get tags with their market counts, most used first
+router.get('/', [
+  query('q').optional().trim().isLength({ max: 50 }).withMessage('Query must be at most 50 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.q) {
+      filter.slug = { $regex: `^${escapeRegex(Tag.normalize(req.query.q))}` };
+    }
+
+    const tags = await Tag.find(filter).lean();
+    const counts = await getTagCounts(tags.map(tag => tag.slug));
+    const ranked = tags
+      .map(tag => ({ ...tag, marketCount: counts.get(tag.slug) || 0 }))
+      .sort((a, b) => b.marketCount - a.marketCount || a.slug.localeCompare(b.slug));
+
+    res.json({
+      tags: ranked.slice(skip, skip + limit),
+      pagination: {
+        page,
+        limit,
+        total: ranked.length,
+        pages: Math.ceil(ranked.length / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the markets with a tag
+router.get('/:slug/markets', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['open', 'closed', 'pending_resolution', 'resolved', 'cancelled']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const tag = await Tag.findOne({ slug: Tag.normalize(req.params.slug) });
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { tags: tag.slug };
+    if (req.query.status) filter.status = req.query.status;
+
+    const markets = await Market.find(filter)
+      .populate('creator', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Market.countDocuments(filter);
+
+    res.json({
+      tag,
+      markets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get tag markets error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rename a tag and retag its markets (admin only)
+router.put('/:slug', auth, adminAuth, [
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Slug must be between 1 and 50 characters'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const tag = await Tag.findOne({ slug: Tag.normalize(req.params.slug) });
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    await renameTag(tag, { slug: req.body.slug, name: req.body.name });
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Rename tag error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Merge a tag into another: its markets get the other tag and it is removed
+// (admin only)
+router.post('/:slug/merge', auth, adminAuth, [
+  body('into')
+    .trim()
+    .notEmpty()
+    .withMessage('Target tag is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const source = await Tag.findOne({ slug: Tag.normalize(req.params.slug) });
+    const target = await Tag.findOne({ slug: Tag.normalize(req.body.into) });
+    if (!source || !target) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    if (source._id.equals(target._id)) {
+      return res.status(400).json({ error: 'Cannot merge a tag into itself' });
+    }
+
+    const retagged = await mergeTags(source, target);
+
+    res.json({
+      message: `Merged "${source.slug}" into "${target.slug}"`,
+      tag: target,
+      retaggedMarkets: retagged
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
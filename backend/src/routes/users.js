@@ -3,6 +3,7 @@ const { auth } = require('../middleware/auth');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const Bet = require('../models/Bet');
+const { getPositions } = require('../services/positionService');
 
 const router = express.Router();
 
@@ -61,28 +62,30 @@ router.get('/transactions', auth, async (req, res) => {
   }
 });
 
-// Get user portfolio (active bets)
+// Get user portfolio (net positions grouped by market)
 router.get('/portfolio', auth, async (req, res) => {
   try {
-    const activeBets = await Bet.find({ 
-      userId: req.user._id, 
-      status: 'active' 
-    })
-      .populate('marketId', 'title category endDate currentOdds status')
-      .sort({ createdAt: -1 });
+    const markets = await getPositions(req.user._id);
 
     // Calculate portfolio stats
-    const totalInvested = activeBets.reduce((sum, bet) => sum + bet.amount, 0);
-    const potentialReturn = activeBets.reduce((sum, bet) => sum + bet.potentialPayout, 0);
-    const potentialProfit = potentialReturn - totalInvested;
+    const totals = markets.reduce((acc, { totals }) => ({
+      costBasis: acc.costBasis + totals.costBasis,
+      marketValue: acc.marketValue + totals.marketValue,
+      potentialPayout: acc.potentialPayout + totals.potentialPayout,
+      unrealizedPnl: acc.unrealizedPnl + totals.unrealizedPnl
+    }), { costBasis: 0, marketValue: 0, potentialPayout: 0, unrealizedPnl: 0 });
 
     res.json({
-      activeBets,
+      markets,
       stats: {
-        totalBets: activeBets.length,
-        totalInvested,
-        potentialReturn,
-        potentialProfit
+        totalMarkets: markets.length,
+        totalBets: markets.reduce((sum, { positions }) => 
+          sum + positions.reduce((count, position) => count + position.betIds.length, 0), 0),
+        totalInvested: totals.costBasis,
+        marketValue: totals.marketValue,
+        unrealizedPnl: totals.unrealizedPnl,
+        potentialReturn: totals.potentialPayout,
+        potentialProfit: totals.potentialPayout - totals.costBasis
       }
     });
   } catch (error) {
@@ -95,13 +98,14 @@ router.get('/portfolio', auth, async (req, res) => {
 router.get('/achievements', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
-      .select('achievements totalBets winningBets totalWinnings winRate');
+      .select('achievements totalBets winningBets partialBets totalWinnings winRate');
 
     res.json({
       achievements: user.achievements,
       stats: {
         totalBets: user.totalBets,
         winningBets: user.winningBets,
+        partialBets: user.partialBets,
         totalWinnings: user.totalWinnings,
         winRate: user.winRate
       }
@@ -119,7 +123,7 @@ router.get('/stats', auth, async (req, res) => {
 
     // Basic stats from user
     const user = await User.findById(userId)
-      .select('totalBets winningBets totalWinnings totalLosses winRate balance');
+      .select('totalBets winningBets partialBets totalWinnings totalLosses winRate balance');
 
     // Market participation stats
     const marketStats = await Bet.aggregate([
@@ -152,6 +156,9 @@ router.get('/stats', auth, async (req, res) => {
           winningBets: {
             $sum: { $cond: [{ $eq: ['$status', 'won'] }, 1, 0] }
           },
+          partialBets: {
+            $sum: { $cond: [{ $eq: ['$status', 'partial'] }, 1, 0] }
+          },
           totalAmount: { $sum: '$amount' },
           totalWinnings: { $sum: '$actualPayout' }
         }
@@ -168,6 +175,7 @@ router.get('/stats', auth, async (req, res) => {
       basicStats: {
         totalBets: user.totalBets,
         winningBets: user.winningBets,
+        partialBets: user.partialBets,
         totalWinnings: user.totalWinnings,
         totalLosses: user.totalLosses,
         winRate: user.winRate,
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Bet = require('../models/Bet');
+const Market = require('../models/Market');
+const User = require('../models/User');
+const ledger = require('./ledgerService');
+const { closeJobKey } = require('./marketLifecycleService');
+const { cancelOpenOrders } = require('./matchingEngine');
+const { settleParlayLegs, notifyParlayChanges } = require('./parlayService');
+const { UNSETTLED_STATUSES, scheduleConditionalCancellation } = require('./conditionalMarketService');
+
+// Cancel a market and refund every active bet on it in a single Mongo
+// transaction, so a market is never left half refunded.
+const cancelMarket = async (market, { reason, adminId = null, wsService, scheduler }) => {
+  // Release the escrow of resting orders first
+  await cancelOpenOrders(market, wsService);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let refundedBets = 0;
+  let refundedAmount = 0;
+  const affectedUserIds = new Set();
+  let parlayChanges;
+
+  try {
+    market.cancel(reason, adminId);
+    await market.save({ session });
+
+    const activeBets = await Bet.find({ marketId: market._id, status: 'active' })
+      .session(session);
+
+    for (const bet of activeBets) {
+      bet.refund();
+      await bet.save({ session });
+
+      await ledger.transfer({
+        from: ledger.marketAccount(market._id),
+        to: ledger.userAccount(bet.userId),
+        amount: bet.actualPayout,
+        type: 'refund',
+        description: `Refund for cancelled market: ${market.title}`,
+        relatedBetId: bet._id,
+        relatedMarketId: market._id,
+        adminId
+      }, session);
+
+      refundedBets += 1;
+      refundedAmount += bet.actualPayout;
+      affectedUserIds.add(bet.userId.toString());
+    }
+
+    // Whatever is left in the market's account is settled with the house
+    await ledger.sweepMarketAccount(market, session);
+
+    // Refunded bets no longer count towards user stats
+    for (const userId of affectedUserIds) {
+      const user = await User.findById(userId).session(session);
+      await user.recalculateStats(session);
+      await user.save({ session });
+    }
+
+    // Parlays drop the cancelled market as a void leg
+    parlayChanges = await settleParlayLegs(market, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+
+  if (scheduler) {
+    await scheduler.cancel(closeJobKey(market._id));
+    // Markets conditional on this one can no longer be met
+    await scheduleConditionalCancellation(scheduler, market);
+  }
+
+  if (wsService) {
+    wsService.broadcastMarketCancellation(market, [...affectedUserIds]);
+    notifyParlayChanges(wsService, market, parlayChanges);
+  }
+
+  return {
+    refundedBets,
+    refundedAmount,
+    usersAffected: affectedUserIds.size
+  };
+};
+
+// Cancel the conditional markets of a resolved or cancelled parent whose
+// linked outcome didn't happen. Markets that fail are left for the job to
+// retry; those already cancelled are skipped.
+const cancelUnmetConditionals = async (parent, { wsService, scheduler }) => {
+  const markets = await Market.find({
+    'condition.parentMarket': parent._id,
+    status: { $in: UNSETTLED_STATUSES }
+  });
+
+  let cancelled = 0;
+  const failures = [];
+
+  for (const market of markets) {
+    if (market.isConditionMet(parent) !== false) {
+      continue;
+    }
+
+    const reason = parent.status === 'cancelled'
+      ? `Condition not met: parent market "${parent.title}" was cancelled`
+      : `Condition not met: parent market "${parent.title}" resolved to ${parent.resolution.outcome}, not ${market.condition.outcome}`;
+
+    try {
+      await cancelMarket(market, { reason, wsService, scheduler });
+      cancelled += 1;
+    } catch (error) {
+      console.error(`Error cancelling conditional market ${market._id}:`, error);
+      failures.push(market._id);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} conditional market(s) failed to cancel`);
+  }
+
+  return cancelled;
+};
+
+const registerCancellationJobs = (scheduler, wsService) => {
+  scheduler.define('cancel_unmet_conditionals', async ({ marketId }) => {
+    const parent = await Market.findById(marketId);
+    if (parent) {
+      await cancelUnmetConditionals(parent, { wsService, scheduler });
+    }
+  });
+};
+
+module.exports = { cancelMarket, cancelUnmetConditionals, registerCancellationJobs };
@@ -0,0 +1,63 @@
+const Market = require('../models/Market');
+
+// Conditional markets: markets tied to one outcome of a parent market. They
+// trade while the parent is undecided and are cancelled with full refunds if
+// it resolves any other way.
+
+// Statuses of markets whose bets haven't been settled or refunded
+const UNSETTLED_STATUSES = ['open', 'closed', 'pending_resolution'];
+
+// One job per parent resolution or cancellation, so a re-resolution gets a
+// fresh one
+const conditionalJobKey = (market) => {
+  const decidedAt = market.status === 'cancelled' ? market.cancelledAt : market.resolutionDate;
+  return `cancel_unmet_conditionals:${market._id}:${decidedAt.getTime()}`;
+};
+
+// Find the parent market of a new conditional market and check the linked
+// outcome is one it can resolve to. Throws if the condition isn't valid.
+const findConditionParent = async ({ parentMarket, outcome }, session = null) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  const parent = await Market.findById(parentMarket).session(session);
+  if (!parent) {
+    throw fail('Parent market not found');
+  }
+  if (!UNSETTLED_STATUSES.includes(parent.status)) {
+    throw fail('Parent market has already been resolved or cancelled');
+  }
+  if (parent.type === 'range' && parent.range.mode === 'scalar') {
+    throw fail('Scalar markets cannot be the parent of a conditional market');
+  }
+  if (!parent.options.includes(outcome)) {
+    throw fail(`"${outcome}" is not an outcome of the parent market`);
+  }
+
+  return parent;
+};
+
+// Queue the job that cancels a resolved or cancelled market's conditional
+// markets whose condition wasn't met
+const scheduleConditionalCancellation = async (scheduler, market) => {
+  const hasConditionals = await Market.exists({
+    'condition.parentMarket': market._id,
+    status: { $in: UNSETTLED_STATUSES }
+  });
+  if (!hasConditionals) {
+    return null;
+  }
+
+  return await scheduler.schedule('cancel_unmet_conditionals', new Date(), {
+    marketId: market._id.toString()
+  }, { uniqueKey: conditionalJobKey(market) });
+};
+
+module.exports = {
+  UNSETTLED_STATUSES,
+  findConditionParent,
+  scheduleConditionalCancellation
+};
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+
+// Double-entry ledger. Every balance change is a journal moving an amount
+// between two accounts, and this module is the only place that changes
+// `User.balance`, which is kept as a cached copy of the user's wallet account.
+
+const MINT = 'mint';
+const HOUSE = 'house';
+
+const userAccount = (userId) => `user:${userId}`;
+const marketAccount = (marketId) => `market:${marketId}`;
+
+const getUserId = (account) => account.startsWith('user:') ? account.slice(5) : null;
+
+// Apply one side of a journal to a user's wallet and record it in the
+// user's transaction history. Wallets can't go negative.
+const applyToWallet = async (userId, amount, details, session) => {
+  const filter = { _id: userId };
+  if (amount < 0) {
+    filter.balance = { $gte: -amount };
+  }
+
+  const user = await User.findOneAndUpdate(filter, { $inc: { balance: amount } }, { new: true, session });
+  if (!user) {
+    const exists = await User.exists({ _id: userId }).session(session);
+    const error = new Error(exists ? 'Insufficient balance' : 'User not found');
+    error.status = exists ? 400 : 404;
+    throw error;
+  }
+
+  const transaction = new Transaction({
+    userId,
+    type: details.type,
+    amount,
+    balanceBefore: user.balance - amount,
+    balanceAfter: user.balance,
+    description: details.description,
+    relatedBetId: details.relatedBetId || null,
+    relatedMarketId: details.relatedMarketId || null,
+    relatedParlayId: details.relatedParlayId || null,
+    adminId: details.adminId || null
+  });
+
+  return await transaction.save({ session });
+};
+
+const postJournal = async ({ from, to, amount, ...details }, session) => {
+  if (!(amount > 0)) {
+    throw new Error('Ledger transfers must be for a positive amount');
+  }
+
+  const journalId = new mongoose.Types.ObjectId();
+  const entry = {
+    journalId,
+    type: details.type,
+    description: details.description,
+    relatedBetId: details.relatedBetId || null,
+    relatedMarketId: details.relatedMarketId || null,
+    relatedParlayId: details.relatedParlayId || null,
+    adminId: details.adminId || null
+  };
+
+  await LedgerEntry.insertMany([
+    { ...entry, account: from, amount: -amount },
+    { ...entry, account: to, amount }
+  ], { session });
+
+  // Transfers touch at most one wallet, whose transaction is returned
+  let transaction = null;
+  for (const [account, delta] of [[from, -amount], [to, amount]]) {
+    const userId = getUserId(account);
+    if (userId) {
+      transaction = await applyToWallet(userId, delta, details, session);
+    }
+  }
+
+  return transaction;
+};
+
+// Move `amount` from one account to another. Pass a session to post the
+// journal inside a surrounding Mongo transaction; otherwise it gets its own.
+// Returns the user's Transaction when a wallet is involved.
+const transfer = async (data, session = null) => {
+  if (session) {
+    return await postJournal(data, session);
+  }
+
+  const ownSession = await mongoose.startSession();
+  ownSession.startTransaction();
+
+  try {
+    const transaction = await postJournal(data, ownSession);
+
+    await ownSession.commitTransaction();
+    ownSession.endSession();
+
+    return transaction;
+  } catch (error) {
+    await ownSession.abortTransaction();
+    ownSession.endSession();
+    throw error;
+  }
+};
+
+// Sum of the entries of one account
+const getAccountBalance = async (account, session = null) => {
+  const result = await LedgerEntry.aggregate([
+    { $match: { account } },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]).session(session);
+
+  return result[0] ? result[0].balance : 0;
+};
+
+// Settle what's left in a market's account with the house once the market is
+// settled or cancelled: leftover stakes go to the house, and the house covers
+// any loss the market maker made.
+const sweepMarketAccount = async (market, session = null) => {
+  const balance = await getAccountBalance(marketAccount(market._id), session);
+  if (Math.abs(balance) < 1e-9) {
+    return 0;
+  }
+
+  await transfer({
+    from: balance > 0 ? marketAccount(market._id) : HOUSE,
+    to: balance > 0 ? HOUSE : marketAccount(market._id),
+    amount: Math.abs(balance),
+    type: 'market_sweep',
+    description: `Market account settled with the house: ${market.title}`,
+    relatedMarketId: market._id
+  }, session);
+
+  return balance;
+};
+
+// Give users that predate the ledger an opening balance minted to cover the
+// part of their cached balance the ledger doesn't account for. Safe to run on
+// every startup.
+const ensureOpeningBalances = async () => {
+  const opened = await LedgerEntry.distinct('account', {
+    type: { $in: ['starting_balance', 'opening_balance'] }
+  });
+  const openedUserIds = new Set(opened.map(getUserId));
+
+  const users = await User.find({ balance: { $gt: 0 } }).select('_id');
+  for (const { _id: userId } of users) {
+    if (openedUserIds.has(userId.toString())) continue;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const user = await User.findById(userId).session(session);
+      const opening = user.balance - await getAccountBalance(userAccount(userId), session);
+
+      if (opening > 1e-9) {
+        // The journal credits the wallet, so take the amount off the cached copy first
+        await User.updateOne({ _id: userId }, { $inc: { balance: -opening } }, { session });
+        await transfer({
+          from: MINT,
+          to: userAccount(userId),
+          amount: opening,
+          type: 'opening_balance',
+          description: 'Opening balance carried into the ledger'
+        }, session);
+      }
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  MINT,
+  HOUSE,
+  userAccount,
+  marketAccount,
+  transfer,
+  getAccountBalance,
+  sweepMarketAccount,
+  ensureOpeningBalances
+};
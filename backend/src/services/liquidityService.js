@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Market = require('../models/Market');
+const Bet = require('../models/Bet');
+const Order = require('../models/Order');
+const PricePoint = require('../models/PricePoint');
+const ledger = require('./ledgerService');
+const lmsr = require('../utils/lmsr');
+
+// Market maker liquidity. Admins can add liquidity to a live market or take
+// it back; the house funds the market's worst-case loss as a subsidy and
+// gets back whatever the subsidy no longer needs to cover.
+
+const liquidityError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Payouts a market owes on each option if it wins, and the stakes it holds
+// for them: its account less resting order escrow and the house's subsidy
+const getMarketBook = async (market, session = null) => {
+  const holdings = await Bet.aggregate([
+    { $match: { marketId: market._id, status: 'active' } },
+    { $group: { _id: '$option', shares: { $sum: '$shares' } } }
+  ]).session(session);
+
+  const escrow = await Order.aggregate([
+    { $match: { marketId: market._id, status: { $in: ['open', 'partially_filled'] } } },
+    { $group: { _id: null, escrow: { $sum: '$escrow' } } }
+  ]).session(session);
+
+  const balance = await ledger.getAccountBalance(ledger.marketAccount(market._id), session);
+
+  const liabilities = {};
+  market.options.forEach(option => {
+    liabilities[option] = 0;
+  });
+  holdings.forEach(({ _id, shares }) => {
+    liabilities[_id] = shares;
+  });
+
+  return {
+    liabilities,
+    stakes: balance - (escrow[0] ? escrow[0].escrow : 0) - market.subsidy
+  };
+};
+
+// Most the house can lose on a market: for the option that costs the most,
+// what it owes now plus what further trading could add, less the stakes
+const getWorstCaseLoss = (market, { liabilities, stakes }) => {
+  const losses = market.options.map(option =>
+    liabilities[option] + lmsr.maxFurtherLoss(market.liquidity, market.getPrice(option)) - stakes
+  );
+  return Math.max(0, ...losses);
+};
+
+// The maker's subsidy, exposure and worst-case loss. Exposure is what the
+// house would lose if the market settled at once on its most costly option.
+const getLiquidityReport = async (market, session = null) => {
+  const book = await getMarketBook(market, session);
+
+  return {
+    liquidity: market.liquidity,
+    subsidy: market.subsidy,
+    liabilities: book.liabilities,
+    stakes: book.stakes,
+    exposure: Math.max(0, ...Object.values(book.liabilities).map(payout => payout - book.stakes)),
+    worstCaseLoss: getWorstCaseLoss(market, book)
+  };
+};
+
+// A market and its liquidity report, read from one consistent snapshot of
+// the market, its bets, orders and account. Null if the market doesn't exist.
+const readLiquidityReport = async (marketId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction({ readConcern: { level: 'snapshot' } });
+
+  try {
+    const market = await Market.findById(marketId).session(session);
+    const report = market ? await getLiquidityReport(market, session) : null;
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return market ? { market, report } : null;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Add liquidity to an open market (a positive `change`) or withdraw it (a
+// negative one). The shares users hold don't change, so prices move onto the
+// new curve. The subsidy is then set to the worst-case loss of the shares
+// actually outstanding: adding liquidity pays in what's missing from the
+// house, and withdrawing returns what is no longer needed. A withdrawal that
+// would leave the worst-case loss unfunded is refused.
+const adjustLiquidity = async (marketId, { change, adminId }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const market = await Market.findById(marketId).session(session);
+    if (!market) {
+      throw liquidityError('Market not found', 404);
+    }
+    if (!market.isOpen()) {
+      throw liquidityError('Liquidity can only be changed on open markets');
+    }
+
+    const liquidity = market.liquidity + change;
+    const minimum = Market.schema.path('liquidity').options.min;
+    if (liquidity < minimum) {
+      throw liquidityError(`Liquidity cannot go below ${minimum}`);
+    }
+
+    const previousLiquidity = market.liquidity;
+    market.setLiquidity(liquidity);
+
+    const required = getWorstCaseLoss(market, await getMarketBook(market, session));
+    let funded = required - market.subsidy;
+
+    if (change < 0 && funded > 1e-9) {
+      throw liquidityError('Withdrawal would leave the market\'s worst-case loss unfunded');
+    }
+
+    if (funded > 1e-9) {
+      await ledger.transfer({
+        from: ledger.HOUSE,
+        to: ledger.marketAccount(market._id),
+        amount: funded,
+        type: 'liquidity_subsidy',
+        description: `Liquidity added to market: ${market.title}`,
+        relatedMarketId: market._id,
+        adminId
+      }, session);
+    } else if (change < 0 && funded < -1e-9) {
+      await ledger.transfer({
+        from: ledger.marketAccount(market._id),
+        to: ledger.HOUSE,
+        amount: -funded,
+        type: 'liquidity_withdrawal',
+        description: `Liquidity withdrawn from market: ${market.title}`,
+        relatedMarketId: market._id,
+        adminId
+      }, session);
+    } else {
+      funded = 0;
+    }
+
+    market.subsidy = Math.max(0, market.subsidy + funded);
+    await market.save({ session });
+    await PricePoint.record(market, { source: 'liquidity' }, session);
+
+    const report = await getLiquidityReport(market, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return { market, previousLiquidity, funded, report };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+module.exports = {
+  getLiquidityReport,
+  readLiquidityReport,
+  adjustLiquidity
+};
@@ -0,0 +1,125 @@
+const Market = require('../models/Market');
+const User = require('../models/User');
+const Dispute = require('../models/Dispute');
+const { cancelOpenOrders } = require('./matchingEngine');
+const { settleMarket } = require('./settlementService');
+
+// Scheduled lifecycle transitions for markets
+
+const closeJobKey = (marketId) => `close_market:${marketId}`;
+const reminderJobKey = (marketId) => `resolution_reminder:${marketId}`;
+// One finalization per proposal, so a new proposal gets a fresh job
+const finalizeJobKey = (market) => 
+  `finalize_resolution:${market._id}:${market.proposedResolution.proposedAt.getTime()}`;
+
+// How long a proposed resolution stays open to disputes
+const getChallengePeriodMs = () => 
+  (parseFloat(process.env.RESOLUTION_CHALLENGE_PERIOD_HOURS) || 24) * 60 * 60 * 1000;
+
+const notifyAdmins = async (wsService, notification) => {
+  const admins = await User.find({ isAdmin: true, isActive: true }).select('_id');
+  admins.forEach(admin => {
+    wsService.sendNotification(admin._id, notification);
+  });
+};
+
+// Queue the job that closes a market at its end date
+const scheduleMarketClose = async (scheduler, market) => {
+  return await scheduler.schedule('close_market', market.endDate, {
+    marketId: market._id.toString()
+  }, { uniqueKey: closeJobKey(market._id) });
+};
+
+// Queue the job that settles a proposed resolution when its challenge period ends
+const scheduleResolutionFinalization = async (scheduler, market) => {
+  return await scheduler.schedule('finalize_resolution', market.proposedResolution.challengeEndsAt, {
+    marketId: market._id.toString(),
+    proposedAt: market.proposedResolution.proposedAt.getTime()
+  }, { uniqueKey: finalizeJobKey(market) });
+};
+
+// Make sure every open market has a close job, e.g. markets created before
+// the scheduler existed. Safe to run on every startup.
+const ensureMarketCloseJobs = async (scheduler) => {
+  const markets = await Market.find({ status: 'open' }).select('_id endDate');
+  for (const market of markets) {
+    await scheduleMarketClose(scheduler, market);
+  }
+};
+
+const registerMarketJobs = (scheduler, wsService) => {
+  // Flip an open market to closed once its end date has passed
+  scheduler.define('close_market', async ({ marketId }) => {
+    const market = await Market.findOneAndUpdate(
+      { _id: marketId, status: 'open', endDate: { $lte: new Date() } },
+      { $set: { status: 'closed' } },
+      { new: true }
+    );
+
+    if (!market) {
+      // Already closed, resolved or cancelled
+      return;
+    }
+
+    wsService.broadcastMarketStatusChange(market);
+
+    // Resting orders can no longer be filled
+    await cancelOpenOrders(market, wsService);
+
+    await scheduler.schedule('resolution_reminder', new Date(), {
+      marketId: market._id.toString()
+    }, { uniqueKey: reminderJobKey(market._id) });
+  });
+
+  // Remind admins that a closed market is waiting to be resolved
+  scheduler.define('resolution_reminder', async ({ marketId }) => {
+    const market = await Market.findById(marketId);
+    if (!market || market.status !== 'closed') {
+      return;
+    }
+
+    await notifyAdmins(wsService, {
+      type: 'resolution_reminder',
+      marketId: market._id,
+      title: 'Market awaiting resolution',
+      message: `Market "${market.title}" has closed and needs to be resolved`
+    });
+  });
+
+  // Settle an undisputed proposed resolution once its challenge period is over
+  scheduler.define('finalize_resolution', async ({ marketId, proposedAt }) => {
+    const market = await Market.findById(marketId);
+    if (!market || market.status !== 'pending_resolution') {
+      return;
+    }
+
+    // A newer proposal has replaced the one this job was queued for
+    if (market.proposedResolution.proposedAt.getTime() !== proposedAt) {
+      return;
+    }
+
+    const openDisputes = await Dispute.countDocuments({ marketId: market._id, status: 'open' });
+    if (openDisputes > 0) {
+      await notifyAdmins(wsService, {
+        type: 'resolution_ruling_needed',
+        marketId: market._id,
+        title: 'Disputed resolution needs a ruling',
+        message: `The resolution of "${market.title}" has ${openDisputes} open dispute(s) and needs a ruling`
+      });
+      return;
+    }
+
+    await settleMarket(market._id, market.proposedResolution.outcome, scheduler);
+  });
+};
+
+module.exports = {
+  notifyAdmins,
+  closeJobKey,
+  finalizeJobKey,
+  getChallengePeriodMs,
+  scheduleMarketClose,
+  scheduleResolutionFinalization,
+  ensureMarketCloseJobs,
+  registerMarketJobs
+};
@@ -0,0 +1,118 @@
+const Market = require('../models/Market');
+const Bet = require('../models/Bet');
+const PricePoint = require('../models/PricePoint');
+const { scheduleMarketClose } = require('./marketLifecycleService');
+const { registerTags } = require('./taxonomyService');
+const { findConditionParent } = require('./conditionalMarketService');
+const { toOptionMap } = require('../utils/optionKeys');
+
+// Build the numeric configuration of a range market from the request body
+const buildRange = ({ mode, min, max, edges, bucketCount, unit }) => {
+  const range = {
+    mode,
+    min: Number(min),
+    max: Number(max),
+    edges: [],
+    unit: unit || null
+  };
+
+  if (mode === 'buckets') {
+    if (edges) {
+      range.edges = edges.map(Number);
+    } else {
+      const step = (range.max - range.min) / bucketCount;
+      for (let i = 0; i <= bucketCount; i++) {
+        range.edges.push(Number((range.min + i * step).toFixed(6)));
+      }
+    }
+  }
+
+  return range;
+};
+
+// Create a market from validated fields, price it and queue its close job.
+// `proposedBy` credits the user whose proposal the market came from,
+// `series`/`seriesIndex` link an instance of a recurring series, and
+// `condition` ties the market to an outcome of a parent market. Inside a
+// `session` the close job is left to the caller, to queue once it commits.
+const createMarket = async (fields, { creatorId, proposedBy = null, series = null, seriesIndex = null, condition = null, scheduler, session = null }) => {
+  const {
+    title, description, category, type, options, range, endDate, tags, image,
+    sourceUrl, resolutionCriteria, isFeatured, orderBookEnabled
+  } = fields;
+
+  const parent = condition ? await findConditionParent(condition, session) : null;
+
+  const market = new Market({
+    title,
+    description,
+    category,
+    type,
+    options,
+    range: type === 'range' ? buildRange(range) : null,
+    endDate: new Date(endDate),
+    tags: await registerTags(tags || [], session),
+    image: image || null,
+    sourceUrl: sourceUrl || null,
+    resolutionCriteria: resolutionCriteria || null,
+    isFeatured: isFeatured || false,
+    orderBookEnabled: orderBookEnabled || false,
+    creator: creatorId,
+    proposedBy,
+    series,
+    seriesIndex,
+    condition: parent ? { parentMarket: parent._id, outcome: condition.outcome } : null
+  });
+
+  // Range markets trade generated bucket or Long/Short options
+  if (type === 'range') {
+    market.options = market.buildRangeOptions();
+  }
+
+  // Calculate initial odds
+  market.calculateInitialOdds();
+
+  await market.save({ session });
+  await PricePoint.record(market, { source: 'create' }, session);
+
+  // Close the market automatically at its end date
+  if (!session) {
+    await scheduleMarketClose(scheduler, market);
+  }
+
+  return market;
+};
+
+// Carry bets and markets that predate the LMSR market maker over to it. A
+// bet's shares are the payout it was promised, and a market's outstanding
+// shares are those its active bets hold, so prices pick up from the existing
+// positions instead of resetting to uniform. Safe to run on every startup.
+const ensureMarketMakerState = async () => {
+  await Bet.updateMany(
+    { shares: { $exists: false } },
+    [{ $set: { shares: '$potentialPayout', sharesSold: 0, saleProceeds: 0 } }]
+  );
+
+  const markets = await Market.find({
+    $or: [{ outstandingShares: { $exists: false } }, { outstandingShares: {} }]
+  });
+
+  for (const market of markets) {
+    const holdings = await Bet.aggregate([
+      { $match: { marketId: market._id, status: 'active' } },
+      { $group: { _id: '$option', shares: { $sum: '$shares' } } }
+    ]);
+
+    const shares = {};
+    market.options.forEach(option => {
+      const holding = holdings.find(({ _id }) => _id === option);
+      shares[option] = holding ? holding.shares : 0;
+    });
+
+    market.outstandingShares = toOptionMap(shares);
+    market.updateOdds();
+    await market.save();
+  }
+};
+
+module.exports = { buildRange, createMarket, ensureMarketMakerState };
@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const Market = require('../models/Market');
+const { createMarket } = require('./marketService');
+const { scheduleMarketClose } = require('./marketLifecycleService');
+const { marketValidators, validateFields } = require('../utils/marketValidation');
+
+// Bulk import and export of markets, as JSON or CSV
+
+const MAX_IMPORT_ROWS = 1000;
+// Separates the items of list fields (options, tags, bucket edges) in CSV cells
+const LIST_SEPARATOR = '|';
+
+// CSV columns a market is imported from
+const IMPORT_COLUMNS = [
+  'title', 'description', 'category', 'type', 'options', 'endDate', 'tags',
+  'image', 'sourceUrl', 'resolutionCriteria', 'isFeatured', 'orderBookEnabled',
+  'range.mode', 'range.min', 'range.max', 'range.edges', 'range.bucketCount', 'range.unit'
+];
+// Exports add the market's state, which imports ignore
+const EXPORT_COLUMNS = [
+  'id', ...IMPORT_COLUMNS, 'status', 'odds', 'totalVolume', 'liquidity',
+  'resolution', 'payouts', 'resolutionValue', 'resolutionDate', 'createdAt'
+];
+
+const importValidators = [
+  ...marketValidators,
+  body('isFeatured')
+    .optional()
+    .isBoolean()
+    .withMessage('Featured flag must be a boolean')
+];
+
+const blank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const splitList = (value) => blank(value)
+  ? undefined
+  : String(value).split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+// 'true'/'false' become booleans; anything else is left for validation to reject
+const parseBoolean = (value) => {
+  if (blank(value)) return undefined;
+  const text = String(value).trim().toLowerCase();
+  return text === 'true' ? true : text === 'false' ? false : value;
+};
+
+const formatMap = (map) => map
+  ? Object.entries(map).map(([key, value]) => `${key}=${value}`).join(LIST_SEPARATOR)
+  : null;
+
+// Market fields from a CSV record
+const fromCsvRecord = (record) => {
+  const fields = {
+    title: record.title,
+    description: record.description,
+    category: record.category,
+    type: record.type,
+    options: splitList(record.options),
+    endDate: record.endDate,
+    tags: splitList(record.tags),
+    image: blank(record.image) ? undefined : record.image,
+    sourceUrl: blank(record.sourceUrl) ? undefined : record.sourceUrl,
+    resolutionCriteria: blank(record.resolutionCriteria) ? undefined : record.resolutionCriteria,
+    isFeatured: parseBoolean(record.isFeatured),
+    orderBookEnabled: parseBoolean(record.orderBookEnabled)
+  };
+
+  if (record.type === 'range') {
+    fields.range = {
+      mode: record['range.mode'],
+      min: record['range.min'],
+      max: record['range.max'],
+      edges: splitList(record['range.edges']),
+      bucketCount: blank(record['range.bucketCount']) ? undefined : Number(record['range.bucketCount']),
+      unit: blank(record['range.unit']) ? undefined : record['range.unit']
+    };
+  }
+
+  return fields;
+};
+
+// Validate every row with the same rules as POST /api/markets. Rows are
+// numbered from 1.
+const validateRows = async (rows) => {
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      results.push({ row: index + 1, errors: [{ msg: 'Row must be an object' }] });
+      continue;
+    }
+
+    const req = { body: {} };
+    const errors = await validateFields(req, row, importValidators);
+    results.push({ row: index + 1, errors: errors.array(), fields: req.body });
+  }
+
+  return results;
+};
+
+// Validate and create markets. Nothing is created unless every row is valid,
+// and then all of them are created in one transaction. A dry run only
+// reports what would happen.
+const importMarkets = async (rows, { creatorId, scheduler, dryRun = false }) => {
+  if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+    const error = new Error(`An import must have between 1 and ${MAX_IMPORT_ROWS} rows`);
+    error.status = 400;
+    throw error;
+  }
+
+  const results = await validateRows(rows);
+  const invalid = results
+    .filter(result => result.errors.length > 0)
+    .map(({ row, errors }) => ({ row, errors }));
+
+  const report = {
+    dryRun,
+    total: rows.length,
+    valid: rows.length - invalid.length,
+    invalid: invalid.length,
+    errors: invalid,
+    created: []
+  };
+
+  if (dryRun || invalid.length > 0) {
+    return report;
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  const markets = [];
+  try {
+    for (const { fields } of results) {
+      markets.push(await createMarket(fields, { creatorId, session }));
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+
+  // Close jobs are queued once the markets exist
+  for (const market of markets) {
+    await scheduleMarketClose(scheduler, market);
+  }
+
+  report.created = markets.map((market, index) => ({
+    row: index + 1,
+    marketId: market._id,
+    title: market.title
+  }));
+
+  return report;
+};
+
+// Markets as plain records for export, with everything needed to import
+// them again plus their odds and resolutions
+const exportMarkets = async (filter) => {
+  const markets = await Market.find(filter)
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return markets.map(Market.restoreOptionKeys).map(market => ({
+    id: market._id,
+    title: market.title,
+    description: market.description,
+    category: market.category,
+    type: market.type,
+    options: market.options,
+    range: market.range || null,
+    endDate: market.endDate,
+    tags: market.tags,
+    image: market.image,
+    sourceUrl: market.sourceUrl,
+    resolutionCriteria: market.resolutionCriteria,
+    isFeatured: market.isFeatured,
+    orderBookEnabled: market.orderBookEnabled,
+    status: market.status,
+    currentOdds: market.currentOdds,
+    totalVolume: market.totalVolume,
+    liquidity: market.liquidity,
+    resolution: market.resolution || null,
+    resolutionValue: market.resolutionValue,
+    resolutionDate: market.resolutionDate,
+    createdAt: market.createdAt
+  }));
+};
+
+// Flatten an exported record into a CSV row
+const toCsvRecord = (record) => {
+  const range = record.range || {};
+  return {
+    ...record,
+    options: record.options.join(LIST_SEPARATOR),
+    tags: (record.tags || []).join(LIST_SEPARATOR),
+    'range.mode': range.mode,
+    'range.min': range.min,
+    'range.max': range.max,
+    'range.edges': range.edges && range.edges.length > 0 ? range.edges.join(LIST_SEPARATOR) : null,
+    'range.unit': range.unit,
+    odds: formatMap(record.currentOdds),
+    resolution: record.resolution ? record.resolution.outcome : null,
+    payouts: record.resolution ? formatMap(record.resolution.payouts) : null
+  };
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  fromCsvRecord,
+  validateRows,
+  importMarkets,
+  exportMarkets,
+  toCsvRecord
+};
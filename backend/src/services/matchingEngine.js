@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Market = require('../models/Market');
+const Bet = require('../models/Bet');
+const User = require('../models/User');
+const ledger = require('./ledgerService');
+const { getExposureLimits, getExposure } = require('./positionService');
+const { withConflictRetry } = require('../utils/retry');
+
+// Matching engine for the limit order book of binary markets.
+//
+// Orders always buy one outcome. A buy of outcome A at price p crosses resting
+// buys of outcome B priced at 1 - p or more; the pair of shares is minted with
+// the 1 unit of collateral both sides put up. Resting orders are matched with
+// price-time priority and trade at the resting order's price, so any price
+// improvement goes back to the incoming order's owner.
+
+const RESTING = ['open', 'partially_filled'];
+
+// Prices live on a 0.01 grid
+const roundPrice = (price) => Math.round(price * 100) / 100;
+
+const orderError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Orders for one market are matched one at a time
+const marketLocks = new Map();
+
+const withMarketLock = (marketId, task) => {
+  const key = marketId.toString();
+  const previous = marketLocks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+
+  marketLocks.set(key, run);
+  run.finally(() => {
+    if (marketLocks.get(key) === run) {
+      marketLocks.delete(key);
+    }
+  }).catch(() => {});
+
+  return run;
+};
+
+const getOppositeOutcome = (market, outcome) => {
+  const [first, second] = market.options;
+  return outcome === first ? second : first;
+};
+
+// Return unused escrow to the order's owner
+const releaseEscrow = async (order, amount, description, session) => {
+  if (amount <= 0) return;
+
+  order.escrow = Math.max(0, order.escrow - amount);
+  await ledger.transfer({
+    from: ledger.marketAccount(order.marketId),
+    to: ledger.userAccount(order.userId),
+    amount,
+    type: 'order_release',
+    description,
+    relatedMarketId: order.marketId
+  }, session);
+};
+
+// Apply a fill of `quantity` shares at `price` to an order, adding the shares
+// to the order's bet
+const applyFill = async (order, market, quantity, price, session) => {
+  const cost = price * quantity;
+
+  order.filledQuantity += quantity;
+  order.escrow = Math.max(0, order.escrow - cost);
+  order.status = order.getRemaining() > 0 ? 'partially_filled' : 'filled';
+
+  let bet = order.betId ? await Bet.findById(order.betId).session(session) : null;
+  if (!bet) {
+    bet = new Bet({
+      userId: order.userId,
+      marketId: market._id,
+      option: order.outcome,
+      amount: 0,
+      oddsAtTime: price,
+      shares: 0,
+      source: 'orderbook',
+      orderId: order._id
+    });
+    order.betId = bet._id;
+    await User.updateOne({ _id: order.userId }, { $inc: { totalBets: 1 } }, { session });
+  }
+
+  bet.amount += cost;
+  bet.shares += quantity;
+  bet.oddsAtTime = bet.amount / bet.shares;
+  bet.calculatePotentialPayout();
+  await bet.save({ session });
+
+  // Filled below the limit price: the difference leaves escrow
+  const improvement = (order.price - price) * quantity;
+  if (improvement > 1e-9) {
+    await releaseEscrow(order, improvement, `Price improvement on order for market: ${market.title}`, session);
+  }
+
+  await order.save({ session });
+};
+
+// Match an incoming order against the resting orders on the other outcome
+const matchOrder = async (market, order, session) => {
+  const makers = await Order.find({
+    marketId: market._id,
+    outcome: getOppositeOutcome(market, order.outcome),
+    status: { $in: RESTING },
+    userId: { $ne: order.userId },
+    price: { $gte: roundPrice(1 - order.price) }
+  })
+    .sort({ price: -1, createdAt: 1 })
+    .session(session);
+
+  const fills = [];
+
+  for (const maker of makers) {
+    const quantity = Math.min(order.getRemaining(), maker.getRemaining());
+    if (quantity <= 0) break;
+
+    const makerPrice = maker.price;
+    const takerPrice = roundPrice(1 - makerPrice);
+
+    await applyFill(maker, market, quantity, makerPrice, session);
+    await applyFill(order, market, quantity, takerPrice, session);
+
+    fills.push({
+      quantity,
+      maker: { orderId: maker._id, userId: maker.userId, outcome: maker.outcome, price: makerPrice },
+      taker: { orderId: order._id, userId: order.userId, outcome: order.outcome, price: takerPrice },
+      timestamp: new Date()
+    });
+  }
+
+  if (fills.length > 0) {
+    // Each matched pair is backed by exactly 1 unit of collateral
+    market.totalVolume += fills.reduce((sum, fill) => sum + fill.quantity, 0);
+    const participants = await Bet.distinct('userId', { marketId: market._id }).session(session);
+    market.participantCount = participants.length;
+    await market.save({ session });
+  }
+
+  return fills;
+};
+
+// Aggregated depth book: resting quantity per price level for each outcome.
+// Bids on one outcome are asks on the other at 1 - price.
+const getDepth = async (market) => {
+  const levels = await Order.aggregate([
+    { $match: { marketId: market._id, status: { $in: RESTING } } },
+    {
+      $group: {
+        _id: { outcome: '$outcome', price: '$price' },
+        quantity: { $sum: { $subtract: ['$quantity', '$filledQuantity'] } },
+        orders: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const book = {};
+  market.options.forEach(outcome => {
+    const opposite = getOppositeOutcome(market, outcome);
+
+    book[outcome] = {
+      bids: levels
+        .filter(level => level._id.outcome === outcome)
+        .map(level => ({ price: level._id.price, quantity: level.quantity, orders: level.orders }))
+        .sort((a, b) => b.price - a.price),
+      asks: levels
+        .filter(level => level._id.outcome === opposite)
+        .map(level => ({ price: roundPrice(1 - level._id.price), quantity: level.quantity, orders: level.orders }))
+        .sort((a, b) => a.price - b.price)
+    };
+  });
+
+  return book;
+};
+
+// Place a limit order: escrow its cost, then match it. Whatever is left rests
+// on the book.
+const placeOrder = async (market, userId, { outcome, price, quantity }, wsService) => {
+  return await withMarketLock(market._id, async () => {
+    // Fills update the market, which AMM trades may be updating concurrently
+    const { order, fills } = await withConflictRetry(async () => {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        // The market may have closed while the order waited for the lock
+        const current = await Market.findById(market._id).session(session);
+        if (!current.isOpen()) {
+          throw orderError('Market is not open for trading');
+        }
+
+        const user = await User.findById(userId).session(session);
+        const cost = price * quantity;
+
+        if (user.balance < cost) {
+          throw orderError('Insufficient balance');
+        }
+
+        // Resting orders count towards exposure caps like bets do
+        const limits = getExposureLimits();
+        const exposure = await getExposure(userId, market._id, session);
+        if (exposure.market + cost > limits.perMarket || exposure.total + cost > limits.total) {
+          throw orderError('Order would exceed your exposure limits');
+        }
+
+        const order = new Order({
+          marketId: market._id,
+          userId,
+          outcome,
+          price,
+          quantity,
+          escrow: cost
+        });
+        await order.save({ session });
+
+        // Escrow is held in the market's account until filled or released
+        await ledger.transfer({
+          from: ledger.userAccount(userId),
+          to: ledger.marketAccount(market._id),
+          amount: cost,
+          type: 'order_escrow',
+          description: `Order to buy ${quantity} ${outcome} at ${price} for market: ${market.title}`,
+          relatedMarketId: market._id
+        }, session);
+
+        const fills = await matchOrder(current, order, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return { order, fills };
+      } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+      }
+    });
+
+    if (wsService) {
+      fills.forEach(fill => wsService.broadcastOrderFill(market, fill));
+      wsService.broadcastOrderBook(market, await getDepth(market));
+    }
+
+    return { order, fills };
+  });
+};
+
+// Cancel a resting order and release its remaining escrow
+const cancelOrder = async (order, market, wsService) => {
+  return await withMarketLock(order.marketId, async () => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const current = await Order.findById(order._id).session(session);
+      if (!current.isResting()) {
+        throw orderError('Order is no longer open');
+      }
+
+      current.status = 'cancelled';
+      current.cancelledAt = new Date();
+      await releaseEscrow(current, current.escrow, `Cancelled order for market: ${market.title}`, session);
+      await current.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+
+      if (wsService) {
+        wsService.broadcastOrderBook(market, await getDepth(market));
+      }
+
+      return current;
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  });
+};
+
+// Cancel every resting order on a market, e.g. when it closes
+const cancelOpenOrders = async (market, wsService) => {
+  const orders = await Order.find({ marketId: market._id, status: { $in: RESTING } });
+
+  for (const order of orders) {
+    try {
+      await cancelOrder(order, market);
+    } catch (error) {
+      // Filled or cancelled in the meantime
+      if (error.status !== 400) throw error;
+    }
+  }
+
+  if (wsService && orders.length > 0) {
+    wsService.broadcastOrderBook(market, await getDepth(market));
+  }
+
+  return orders.length;
+};
+
+module.exports = {
+  roundPrice,
+  getDepth,
+  placeOrder,
+  cancelOrder,
+  cancelOpenOrders
+};
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Parlay = require('../models/Parlay');
+const Market = require('../models/Market');
+const User = require('../models/User');
+const ledger = require('./ledgerService');
+const { getExposureLimits, getExposure } = require('./positionService');
+
+// Parlays: house-backed combinations of picks on several markets. Stakes go
+// to the house and payouts come from it, so parlays never move the markets'
+// prices or accounts.
+
+const getParlayLimits = () => ({
+  maxLegs: parseInt(process.env.PARLAY_MAX_LEGS) || 10,
+  maxPayout: parseInt(process.env.PARLAY_MAX_PAYOUT) || 50000
+});
+
+const parlayError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Price a set of legs at the markets' current odds. Throws if a leg can't be
+// part of a parlay.
+const quoteParlay = async (legs, amount, session = null) => {
+  const limits = getParlayLimits();
+  if (legs.length < 2 || legs.length > limits.maxLegs) {
+    throw parlayError(`A parlay needs between 2 and ${limits.maxLegs} legs`);
+  }
+
+  const marketIds = legs.map(leg => leg.marketId.toString());
+  if (new Set(marketIds).size !== marketIds.length) {
+    throw parlayError('Each leg must be on a different market');
+  }
+
+  const markets = await Market.find({ _id: { $in: marketIds } }).session(session);
+
+  // A conditional market only trades on while its parent is on track for the
+  // linked outcome, so the two can't be combined
+  const linked = markets.find(market => market.condition && marketIds.includes(market.condition.parentMarket.toString()));
+  if (linked) {
+    throw parlayError(`Market "${linked.title}" is conditional on another leg's market`);
+  }
+
+  const priced = legs.map(({ marketId, option }) => {
+    const market = markets.find(candidate => candidate._id.equals(marketId));
+    if (!market) {
+      throw parlayError('Market not found', 404);
+    }
+    if (!market.isOpen()) {
+      throw parlayError(`Market "${market.title}" is not open for betting`);
+    }
+    if (!market.options.includes(option)) {
+      throw parlayError(`Invalid option "${option}" for market "${market.title}"`);
+    }
+
+    return {
+      marketId: market._id,
+      title: market.title,
+      option,
+      price: market.getPrice(option)
+    };
+  });
+
+  const combinedPrice = priced.reduce((price, leg) => price * leg.price, 1);
+  const potentialPayout = amount / combinedPrice;
+
+  if (potentialPayout > limits.maxPayout) {
+    throw parlayError(`Parlay would pay more than the maximum of ${limits.maxPayout} units`);
+  }
+
+  return { legs: priced, combinedPrice, potentialPayout };
+};
+
+// Place a parlay, taking the stake into the house's account
+const placeParlay = async (userId, { legs, amount, minPayout = null }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const quote = await quoteParlay(legs, amount, session);
+    if (minPayout !== null && quote.potentialPayout < minPayout) {
+      throw parlayError('Payout is below your minimum payout');
+    }
+
+    // The stake counts towards the exposure caps of every leg's market
+    const limits = getExposureLimits();
+    for (const leg of quote.legs) {
+      const exposure = await getExposure(userId, leg.marketId, session);
+      if (exposure.market + amount > limits.perMarket || exposure.total + amount > limits.total) {
+        throw parlayError('Parlay would exceed your exposure limits');
+      }
+    }
+
+    const parlay = new Parlay({
+      userId,
+      amount,
+      legs: quote.legs.map(({ marketId, option, price }) => ({ marketId, option, price }))
+    });
+    parlay.calculatePotentialPayout();
+    await parlay.save({ session });
+
+    await ledger.transfer({
+      from: ledger.userAccount(userId),
+      to: ledger.HOUSE,
+      amount,
+      type: 'parlay_bet',
+      description: `Parlay of ${legs.length} legs for ${amount} units`,
+      relatedParlayId: parlay._id
+    }, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return parlay;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Fraction of a unit a leg's option paid, or null when its market was voided
+// or cancelled
+const getLegFraction = (market, option) => {
+  if (market.status === 'cancelled' || market.isVoided()) {
+    return null;
+  }
+  return market.getPayoutFraction(option);
+};
+
+// Settle a parlay's leg on a market and pay or collect the difference
+// between what the parlay is now worth and what it has paid so far. Running
+// it again for the same outcome changes nothing, and a re-resolved or
+// cancelled leg corrects an earlier payout. A reversal the user's balance
+// can't cover is kept as the parlay's shortfall rather than collected again.
+const settleParlayLeg = async (parlay, market, session) => {
+  const leg = parlay.legs.find(candidate => candidate.marketId.equals(market._id));
+  if (!leg) {
+    return null;
+  }
+  parlay.settleLeg(market._id, getLegFraction(market, leg.option));
+
+  const previousStatus = parlay.status;
+  const outcome = parlay.getOutcome();
+  let delta = outcome.payout - parlay.actualPayout;
+
+  if (delta > 1e-9) {
+    await ledger.transfer({
+      from: ledger.HOUSE,
+      to: ledger.userAccount(parlay.userId),
+      amount: delta,
+      type: outcome.status === 'void' ? 'parlay_refund' : 'parlay_win',
+      description: outcome.status === 'void'
+        ? 'Refund for parlay with every leg voided'
+        : `Parlay payout of ${delta.toFixed(2)} units`,
+      relatedParlayId: parlay._id,
+      relatedMarketId: market._id
+    }, session);
+    parlay.actualPayout += delta;
+  } else if (delta < -1e-9) {
+    // Balances can't go negative: collect what's there, and leave what was
+    // already recorded as a shortfall alone
+    const user = await User.findById(parlay.userId).session(session);
+    const collectable = Math.max(0, Math.min(-delta - parlay.shortfall, user.balance));
+    if (collectable > 0) {
+      await ledger.transfer({
+        from: ledger.userAccount(parlay.userId),
+        to: ledger.HOUSE,
+        amount: collectable,
+        type: 'settlement_reversal',
+        description: `Reversed parlay payout after market "${market.title}" changed`,
+        relatedParlayId: parlay._id,
+        relatedMarketId: market._id
+      }, session);
+    }
+    delta = -collectable;
+    parlay.actualPayout -= collectable;
+  }
+  parlay.shortfall = Math.max(0, parlay.actualPayout - outcome.payout);
+
+  parlay.status = outcome.status;
+  parlay.settledAt = outcome.status === 'active' ? null : parlay.settledAt || new Date();
+  await parlay.save({ session });
+
+  return { parlay, previousStatus, delta };
+};
+
+// Settle every parlay with a leg on a resolved, re-resolved or cancelled
+// market. Inside a `session` the parlays settle with the caller's
+// transaction; otherwise each parlay gets its own, and failures are thrown
+// together once the rest are done.
+const settleParlayLegs = async (market, { session = null } = {}) => {
+  const parlayIds = await Parlay.distinct('_id', { 'legs.marketId': market._id }).session(session);
+  const changes = [];
+  const failures = [];
+
+  for (const parlayId of parlayIds) {
+    if (session) {
+      const parlay = await Parlay.findById(parlayId).session(session);
+      changes.push(await settleParlayLeg(parlay, market, session));
+      continue;
+    }
+
+    const ownSession = await mongoose.startSession();
+    ownSession.startTransaction();
+    try {
+      const parlay = await Parlay.findById(parlayId).session(ownSession);
+      const change = await settleParlayLeg(parlay, market, ownSession);
+      await ownSession.commitTransaction();
+      ownSession.endSession();
+      changes.push(change);
+    } catch (error) {
+      await ownSession.abortTransaction();
+      ownSession.endSession();
+      console.error(`Error settling parlay ${parlayId}:`, error);
+      failures.push(parlayId);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} parlay(s) failed to settle`);
+  }
+
+  return changes.filter(Boolean);
+};
+
+// Tell users about parlays that were decided or changed
+const notifyParlayChanges = (wsService, market, changes) => {
+  changes
+    .filter(({ parlay, previousStatus, delta }) => parlay.status !== previousStatus || Math.abs(delta) > 1e-9)
+    .forEach(({ parlay, delta }) => {
+      const messages = {
+        active: `A leg on "${market.title}" changed and your parlay is open again`,
+        won: `Your parlay won ${parlay.actualPayout.toFixed(2)} units`,
+        partial: `Your parlay paid ${parlay.actualPayout.toFixed(2)} units`,
+        lost: `Your parlay lost on "${market.title}"`,
+        void: `Every leg of your parlay was voided and your ${parlay.amount} units were refunded`
+      };
+
+      wsService.sendNotification(parlay.userId, {
+        type: 'parlay_update',
+        parlayId: parlay._id,
+        marketId: market._id,
+        title: 'Parlay update',
+        message: messages[parlay.status],
+        status: parlay.status,
+        delta
+      });
+    });
+};
+
+module.exports = {
+  getParlayLimits,
+  quoteParlay,
+  placeParlay,
+  settleParlayLegs,
+  notifyParlayChanges
+};
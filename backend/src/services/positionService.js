@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Bet = require('../models/Bet');
+const Order = require('../models/Order');
+const Parlay = require('../models/Parlay');
+
+// Per-user exposure caps, measured as the cost basis of active bets, the
+// escrow of resting orders and the stakes of open parlays
+const getExposureLimits = () => ({
+  perMarket: parseInt(process.env.MAX_EXPOSURE_PER_MARKET) || 10000,
+  total: parseInt(process.env.MAX_TOTAL_EXPOSURE) || 50000
+});
+
+// Active exposure of a user, in total and on one market
+const getExposure = async (userId, marketId, session = null) => {
+  const bets = await Bet.find({ userId, status: 'active' })
+    .select('marketId amount shares sharesSold')
+    .session(session);
+  const orders = await Order.find({ userId, status: { $in: ['open', 'partially_filled'] } })
+    .select('marketId escrow')
+    .session(session);
+  const parlays = await Parlay.find({ userId, status: 'active' })
+    .select('amount legs.marketId')
+    .session(session);
+
+  let total = 0;
+  let market = 0;
+  const add = (positionMarketId, cost) => {
+    total += cost;
+    if (positionMarketId.toString() === marketId.toString()) {
+      market += cost;
+    }
+  };
+
+  bets.forEach(bet => add(bet.marketId, bet.getRemainingCost()));
+  orders.forEach(order => add(order.marketId, order.escrow));
+
+  // A parlay's stake counts once in the total, and in full on each of its
+  // legs' markets
+  parlays.forEach(parlay => {
+    total += parlay.amount;
+    if (parlay.legs.some(leg => leg.marketId.toString() === marketId.toString())) {
+      market += parlay.amount;
+    }
+  });
+
+  return { total, market };
+};
+
+// Net a user's active bets into one position per option, grouped by market.
+// Positions are marked to the market's current price.
+const getPositions = async (userId, { marketId } = {}) => {
+  const filter = { userId, status: 'active' };
+  if (marketId) filter.marketId = marketId;
+
+  const bets = await Bet.find(filter)
+    .populate('marketId', 'title category endDate currentOdds status')
+    .sort({ createdAt: 1 });
+
+  const markets = new Map();
+
+  bets.forEach(bet => {
+    const market = bet.marketId;
+    const key = market._id.toString();
+
+    if (!markets.has(key)) {
+      markets.set(key, { market, options: new Map() });
+    }
+
+    const { options } = markets.get(key);
+    if (!options.has(bet.option)) {
+      options.set(bet.option, { option: bet.option, shares: 0, costBasis: 0, betIds: [] });
+    }
+
+    const position = options.get(bet.option);
+    position.shares += bet.shares;
+    position.costBasis += bet.getRemainingCost();
+    position.betIds.push(bet._id);
+  });
+
+  return [...markets.values()].map(({ market, options }) => {
+    const positions = [...options.values()].map(position => {
+      const currentPrice = market.getPrice(position.option) || 0;
+      const marketValue = position.shares * currentPrice;
+
+      return {
+        ...position,
+        averagePrice: position.shares > 0 ? position.costBasis / position.shares : 0,
+        currentPrice,
+        marketValue,
+        potentialPayout: position.shares,
+        unrealizedPnl: marketValue - position.costBasis
+      };
+    });
+
+    const totals = positions.reduce((acc, position) => ({
+      costBasis: acc.costBasis + position.costBasis,
+      marketValue: acc.marketValue + position.marketValue,
+      potentialPayout: acc.potentialPayout + position.potentialPayout,
+      unrealizedPnl: acc.unrealizedPnl + position.unrealizedPnl
+    }), { costBasis: 0, marketValue: 0, potentialPayout: 0, unrealizedPnl: 0 });
+
+    return { market, positions, totals };
+  });
+};
+
+// Shares each of the given users currently holds per option on one market,
+// largest holding first, e.g. for position badges next to their comments
+const getPositionBadges = async (marketId, userIds) => {
+  const holdings = await Bet.aggregate([
+    { $match: { marketId: new mongoose.Types.ObjectId(marketId), userId: { $in: userIds }, status: 'active' } },
+    { $group: { _id: { userId: '$userId', option: '$option' }, shares: { $sum: '$shares' } } },
+    { $sort: { shares: -1 } }
+  ]);
+
+  const badges = new Map();
+  holdings.forEach(({ _id, shares }) => {
+    const key = _id.userId.toString();
+    if (!badges.has(key)) {
+      badges.set(key, []);
+    }
+    badges.get(key).push({ option: _id.option, shares });
+  });
+
+  return badges;
+};
+
+module.exports = {
+  getExposureLimits,
+  getExposure,
+  getPositions,
+  getPositionBadges
+};
@@ -0,0 +1,100 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const User = require('../models/User');
+const { MINT, HOUSE } = require('./ledgerService');
+
+// Amounts closer than this are treated as equal (floating point dust)
+const TOLERANCE = 1e-6;
+
+const getIntervalMs = () =>
+  (parseFloat(process.env.RECONCILIATION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Check every user's cached balance against their wallet account, every
+// journal for balance, and the total of the cached balances against the
+// total of the wallet accounts. The minted units and the other accounts are
+// reported alongside. The result is saved as a report.
+const reconcile = async (trigger = 'job') => {
+  const accounts = await LedgerEntry.aggregate([
+    { $group: { _id: '$account', balance: { $sum: '$amount' } } }
+  ]);
+
+  const balances = new Map(accounts.map(account => [account._id, account.balance]));
+  const supply = { minted: -(balances.get(MINT) || 0), users: 0, markets: 0, house: balances.get(HOUSE) || 0 };
+
+  accounts.forEach(({ _id: account, balance }) => {
+    if (account.startsWith('user:')) {
+      supply.users += balance;
+    } else if (account.startsWith('market:')) {
+      supply.markets += balance;
+    }
+  });
+
+  // Cached balances are kept apart from the ledger, so their total catches
+  // wallet accounts without a user as well as per-user drift
+  const userDrift = [];
+  const users = await User.find().select('_id balance');
+  supply.cachedUsers = users.reduce((total, user) => total + user.balance, 0);
+  supply.drift = supply.cachedUsers - supply.users;
+  users.forEach(user => {
+    const ledgerBalance = balances.get(`user:${user._id}`) || 0;
+    const drift = user.balance - ledgerBalance;
+    if (Math.abs(drift) > TOLERANCE) {
+      userDrift.push({ userId: user._id, balance: user.balance, ledgerBalance, drift });
+    }
+  });
+
+  const unbalancedJournals = await LedgerEntry.aggregate([
+    { $group: { _id: '$journalId', total: { $sum: '$amount' } } },
+    { $match: { $or: [{ total: { $gt: TOLERANCE } }, { total: { $lt: -TOLERANCE } }] } },
+    { $project: { _id: 0, journalId: '$_id', total: 1 } }
+  ]);
+
+  return await ReconciliationReport.create({
+    ok: userDrift.length === 0 && unbalancedJournals.length === 0 && Math.abs(supply.drift) <= TOLERANCE,
+    trigger,
+    usersChecked: users.length,
+    userDrift,
+    unbalancedJournals,
+    supply
+  });
+};
+
+// Queue the next periodic reconciliation
+const scheduleReconciliation = async (scheduler, runAt = new Date(Date.now() + getIntervalMs())) => {
+  const slot = Math.floor(runAt.getTime() / getIntervalMs());
+  return await scheduler.schedule('reconcile_ledger', runAt, {}, {
+    uniqueKey: `reconcile_ledger:${slot}`
+  });
+};
+
+const registerReconciliationJobs = (scheduler, wsService) => {
+  // Reconcile the ledger, alert admins about drift and queue the next run
+  scheduler.define('reconcile_ledger', async () => {
+    try {
+      const report = await reconcile('job');
+
+      if (!report.ok) {
+        console.error(`Ledger reconciliation found drift (report ${report._id})`);
+
+        const admins = await User.find({ isAdmin: true, isActive: true }).select('_id');
+        admins.forEach(admin => {
+          wsService.sendNotification(admin._id, {
+            type: 'ledger_drift',
+            title: 'Ledger drift detected',
+            message: `Reconciliation found ${report.userDrift.length} user balance(s) and ` +
+              `${report.unbalancedJournals.length} journal(s) out of line, supply drift ${report.supply.drift.toFixed(2)}`,
+            reportId: report._id
+          });
+        });
+      }
+    } finally {
+      await scheduleReconciliation(scheduler);
+    }
+  });
+};
+
+module.exports = {
+  reconcile,
+  scheduleReconciliation,
+  registerReconciliationJobs
+};
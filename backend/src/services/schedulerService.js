@@ -0,0 +1,150 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+// Persistent job scheduler backed by the `jobs` collection.
+//
+// Jobs survive restarts because they live in Mongo. A job is claimed with an
+// atomic findOneAndUpdate, so only one worker runs it; jobs whose worker died
+// mid-run are reclaimed once their lock times out. Handlers should still be
+// idempotent, since a reclaimed job may run again.
+class SchedulerService {
+  constructor(options = {}) {
+    this.handlers = new Map();
+    this.pollInterval = options.pollInterval || parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 10000;
+    this.lockTimeout = options.lockTimeout || parseInt(process.env.SCHEDULER_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Register the handler for a job name
+  define(name, handler) {
+    this.handlers.set(name, handler);
+  }
+
+  // Schedule a job. With `uniqueKey`, scheduling the same key again is a no-op
+  // and returns the existing job.
+  async schedule(name, runAt, data = {}, options = {}) {
+    const job = {
+      name,
+      runAt: new Date(runAt),
+      data,
+      maxAttempts: options.maxAttempts || 3
+    };
+
+    if (!options.uniqueKey) {
+      return await Job.create(job);
+    }
+
+    return await Job.findOneAndUpdate(
+      { uniqueKey: options.uniqueKey },
+      { $setOnInsert: { ...job, uniqueKey: options.uniqueKey } },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Move a pending job to a new run time
+  async reschedule(uniqueKey, runAt) {
+    return await Job.findOneAndUpdate(
+      { uniqueKey, status: 'pending' },
+      { $set: { runAt: new Date(runAt) } },
+      { new: true }
+    );
+  }
+
+  // Cancel a pending job so it never runs
+  async cancel(uniqueKey) {
+    return await Job.findOneAndUpdate(
+      { uniqueKey, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+  }
+
+  // Refresh the lock of a long-running job so it isn't reclaimed as stale
+  async extendLock(job) {
+    job.lockedAt = new Date();
+    await Job.updateOne({ _id: job._id, lockedBy: this.workerId }, { $set: { lockedAt: job.lockedAt } });
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+    console.log(`Scheduler started (${this.workerId})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Run every due job, one at a time
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      let job = await this.claimNext();
+      while (job) {
+        await this.run(job);
+        job = await this.claimNext();
+      }
+    } catch (error) {
+      console.error('Scheduler poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Atomically lock the next due job (or one whose worker's lock expired)
+  async claimNext() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.lockTimeout);
+
+    return await Job.findOneAndUpdate(
+      {
+        name: { $in: [...this.handlers.keys()] },
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: staleBefore } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.name);
+
+    try {
+      await handler(job.data, job);
+
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.lastError = null;
+    } catch (error) {
+      console.error(`Job ${job.name} (${job._id}) failed:`, error);
+
+      job.lastError = error.message;
+      if (job.attempts < job.maxAttempts) {
+        // Retry with exponential backoff
+        job.status = 'pending';
+        job.runAt = new Date(Date.now() + Math.pow(2, job.attempts) * 30 * 1000);
+      } else {
+        job.status = 'failed';
+      }
+    }
+
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+  }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,170 @@
+const Market = require('../models/Market');
+const MarketSeries = require('../models/MarketSeries');
+const { createMarket } = require('./marketService');
+const { notifyAdmins } = require('./marketLifecycleService');
+const { validateFields } = require('../utils/marketValidation');
+
+// Creates the instances of recurring market series ahead of their start
+
+const seriesJobKey = (series) =>
+  `create_series_instance:${series._id}:${series.nextIndex}:${series.revision}`;
+
+// Queue the job that creates the series' next instance, or end the series
+// once its recurrence has no more instances
+const scheduleNextInstance = async (scheduler, series) => {
+  if (series.status !== 'active') {
+    return null;
+  }
+
+  if (!series.hasOccurrence(series.nextIndex)) {
+    series.status = 'ended';
+    await series.save();
+    return null;
+  }
+
+  const { createAt } = series.getOccurrence(series.nextIndex);
+  return await scheduler.schedule('create_series_instance', createAt, {
+    seriesId: series._id.toString(),
+    index: series.nextIndex,
+    revision: series.revision
+  }, { uniqueKey: seriesJobKey(series) });
+};
+
+// Skip instances that ended while the series was paused or the server was down
+const skipPastInstances = (series) => {
+  series.nextIndex = series.getUpcomingIndex(series.nextIndex);
+};
+
+// Replace the queued job after the schedule changed or the series resumed
+const rescheduleSeries = async (scheduler, series) => {
+  await scheduler.cancel(seriesJobKey(series));
+  series.revision += 1;
+  skipPastInstances(series);
+  await series.save();
+  return await scheduleNextInstance(scheduler, series);
+};
+
+// Check that instance `index` of a series renders into a valid market.
+// Returns null, or the error and validation details.
+const validateInstance = async (series, index) => {
+  if (!series.hasOccurrence(index)) {
+    return { error: 'The recurrence has no upcoming instances' };
+  }
+
+  const errors = await validateFields({}, series.renderInstance(index));
+  if (!errors.isEmpty()) {
+    return { error: 'Template does not produce a valid market', details: errors.array() };
+  }
+
+  return null;
+};
+
+// Pause a series that can't create its instances and tell admins why
+const pauseSeries = async (series, reason, wsService) => {
+  series.status = 'paused';
+  series.pausedReason = reason;
+  await series.save();
+
+  await notifyAdmins(wsService, {
+    type: 'series_paused',
+    seriesId: series._id,
+    title: 'Market series paused',
+    message: `Series "${series.name}" was paused: ${reason}`
+  });
+};
+
+// Create instance `index` of a series. Instances that already exist are
+// returned as they are, so a retried job doesn't create them twice.
+const createSeriesInstance = async (series, index, scheduler) => {
+  const existing = await Market.findOne({ series: series._id, seriesIndex: index });
+  if (existing) {
+    return { market: existing, created: false };
+  }
+
+  try {
+    const market = await createMarket(series.renderInstance(index), {
+      creatorId: series.createdBy,
+      series: series._id,
+      seriesIndex: index,
+      scheduler
+    });
+    return { market, created: true };
+  } catch (error) {
+    if (error.code === 11000) {
+      const market = await Market.findOne({ series: series._id, seriesIndex: index });
+      return { market, created: false };
+    }
+    throw error;
+  }
+};
+
+// Make sure every active series has its next instance queued. Safe to run on
+// every startup.
+const ensureSeriesJobs = async (scheduler) => {
+  const seriesList = await MarketSeries.find({ status: 'active' });
+  for (const series of seriesList) {
+    skipPastInstances(series);
+    await series.save();
+    await scheduleNextInstance(scheduler, series);
+  }
+};
+
+const registerSeriesJobs = (scheduler, wsService) => {
+  // Create a series instance and queue the one after it. A series that can't
+  // create its instances is paused, rather than stopping without a trace.
+  scheduler.define('create_series_instance', async ({ seriesId, index, revision }, job) => {
+    const series = await MarketSeries.findById(seriesId);
+
+    // Paused, ended, or rescheduled since the job was queued
+    if (!series || series.status !== 'active' || series.nextIndex !== index || series.revision !== revision) {
+      return;
+    }
+
+    skipPastInstances(series);
+    if (series.nextIndex === index && series.hasOccurrence(index)) {
+      let instance;
+      try {
+        instance = await createSeriesInstance(series, index, scheduler);
+      } catch (error) {
+        if (!job || job.attempts >= job.maxAttempts) {
+          await pauseSeries(series, `Instance ${index} could not be created: ${error.message}`, wsService);
+        }
+        throw error;
+      }
+
+      const { market, created } = instance;
+      if (created) {
+        wsService.broadcastNewMarket(market);
+      }
+
+      series.nextIndex = index + 1;
+      series.instanceCount += created ? 1 : 0;
+      series.lastInstanceAt = market.createdAt;
+    }
+
+    await series.save();
+
+    // Catch a template that no longer makes a valid market, e.g. because its
+    // category was deactivated, before the next instance is due
+    if (series.hasOccurrence(series.nextIndex)) {
+      const invalid = await validateInstance(series, series.nextIndex);
+      if (invalid) {
+        const details = (invalid.details || []).map(detail => detail.msg).join(', ');
+        await pauseSeries(series, details ? `${invalid.error}: ${details}` : invalid.error, wsService);
+        return;
+      }
+    }
+
+    await scheduleNextInstance(scheduler, series);
+  });
+};
+
+module.exports = {
+  seriesJobKey,
+  scheduleNextInstance,
+  rescheduleSeries,
+  validateInstance,
+  createSeriesInstance,
+  ensureSeriesJobs,
+  registerSeriesJobs
+};
@@ -0,0 +1,461 @@
+const mongoose = require('mongoose');
+const Bet = require('../models/Bet');
+const User = require('../models/User');
+const ledger = require('./ledgerService');
+const ResolutionRevision = require('../models/ResolutionRevision');
+const Market = require('../models/Market');
+const Settlement = require('../models/Settlement');
+const { withConflictRetry } = require('../utils/retry');
+const { fromOptionMap } = require('../utils/optionKeys');
+const { settleParlayLegs, notifyParlayChanges } = require('./parlayService');
+const { scheduleConditionalCancellation } = require('./conditionalMarketService');
+
+// Runs of the settlement job before a settlement is marked failed
+const SETTLEMENT_JOB_ATTEMPTS = 5;
+
+// Plain copy of a market's resolution for reports
+const copyResolution = (market) => market.resolution
+  ? { outcome: market.resolution.outcome, payouts: fromOptionMap(market.resolution.payouts) }
+  : null;
+
+const settleJobKey = (marketId) => `settle_market:${marketId}`;
+
+// Settle one bet in its own transaction. Only active bets are settled, so a
+// bet already handled by an earlier (or concurrent) run is skipped.
+const settleBet = async (market, betId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const bet = await Bet.findOne({ _id: betId, status: 'active' }).session(session);
+    if (!bet) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    if (market.isVoided()) {
+      bet.refund();
+    } else {
+      bet.settle(market.getPayoutFraction(bet.option));
+    }
+    bet.settlementError = null;
+    await bet.save({ session });
+
+    // Stakes were taken when the bet was placed, so losing bets move no funds
+    if (bet.actualPayout > 0) {
+      await ledger.transfer({
+        from: ledger.marketAccount(market._id),
+        to: ledger.userAccount(bet.userId),
+        type: market.isVoided() ? 'refund' : 'win',
+        amount: bet.actualPayout,
+        description: market.isVoided()
+          ? `Refund for market resolved as N/A: ${market.title}`
+          : `Bet ${bet.status === 'partial' ? 'partially won' : 'won'} on market: ${market.title}`,
+        relatedBetId: bet._id,
+        relatedMarketId: market._id
+      }, session);
+    }
+
+    const user = await User.findById(bet.userId).session(session);
+    await user.recalculateStats(session);
+
+    // Add achievement for first win
+    if (bet.status === 'won' && user.winningBets === 1) {
+      user.addAchievement('first_win');
+    }
+
+    await user.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return bet;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Progress of a market's settlement, counted from the bets themselves
+const getSettlementProgress = async (market) => {
+  const counts = await Bet.aggregate([
+    { $match: { 
+      marketId: market._id, 
+      $or: [
+        { status: 'active' },
+        { status: { $in: ['won', 'lost', 'partial', 'refunded'] }, settledAt: { $gte: market.resolutionDate } }
+      ]
+    } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        paid: { $sum: '$actualPayout' },
+        failed: { $sum: { $cond: [{ $ne: ['$settlementError', null] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const byStatus = {};
+  counts.forEach(entry => {
+    byStatus[entry._id] = entry;
+  });
+  const count = (status) => byStatus[status] ? byStatus[status].count : 0;
+
+  const pendingBets = count('active');
+  const settledBets = count('won') + count('lost') + count('partial') + count('refunded');
+
+  return {
+    totalBets: pendingBets + settledBets,
+    settledBets,
+    pendingBets,
+    totalPaid: counts.reduce((sum, entry) => entry._id === 'active' ? sum : sum + entry.paid, 0),
+    winners: count('won'),
+    losers: count('lost'),
+    partial: count('partial'),
+    refunded: count('refunded'),
+    failures: byStatus.active ? byStatus.active.failed : 0
+  };
+};
+
+// Resolve a market's pending resolution to its final outcome and queue the
+// job that settles every active bet on it. A market resolved as N/A refunds
+// every bet instead. `prepare(market, session)` runs first in the same
+// transaction, e.g. to record a ruling. The market is read again on every
+// attempt, so a concurrent write is retried instead of failing the
+// resolution. Returns the resolved market and its settlement.
+const settleMarket = async (marketId, resolution, scheduler, { prepare = null } = {}) => {
+  const resolved = await withConflictRetry(async () => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const market = await Market.findById(marketId).session(session);
+      if (!market || market.status !== 'pending_resolution') {
+        const error = new Error('Market has no pending resolution');
+        error.status = 400;
+        throw error;
+      }
+
+      if (prepare) {
+        await prepare(market, session);
+      }
+
+      market.resolve(resolution);
+      await market.save({ session });
+
+      const settlement = new Settlement({
+        marketId: market._id,
+        resolution: copyResolution(market)
+      });
+      await settlement.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+
+      return { market, settlement };
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  });
+
+  await scheduler.schedule('settle_market', new Date(), {
+    marketId: resolved.market._id.toString()
+  }, { uniqueKey: settleJobKey(resolved.market._id), maxAttempts: SETTLEMENT_JOB_ATTEMPTS });
+
+  return resolved;
+};
+
+// Settle the bets a market's settlement hasn't reached yet. Failed bets are
+// recorded and left active; the job then fails so the scheduler retries them.
+const runSettlement = async (marketId, { scheduler, job, wsService }) => {
+  const market = await Market.findById(marketId);
+  const settlement = await Settlement.findOne({ marketId });
+  if (!market || !settlement || settlement.isComplete() || market.status !== 'resolved') {
+    return settlement;
+  }
+
+  settlement.status = 'running';
+  settlement.startedAt = settlement.startedAt || new Date();
+  settlement.runs += 1;
+  await settlement.save();
+
+  const pendingBets = await Bet.find({ marketId: market._id, status: 'active' })
+    .select('_id userId settlementAttempts')
+    .sort({ _id: 1 });
+
+  const failures = [];
+
+  for (let i = 0; i < pendingBets.length; i++) {
+    const pending = pendingBets[i];
+
+    try {
+      await withConflictRetry(() => settleBet(market, pending._id));
+    } catch (error) {
+      console.error(`Error settling bet ${pending._id}:`, error);
+
+      await Bet.updateOne(
+        { _id: pending._id },
+        { $inc: { settlementAttempts: 1 }, $set: { settlementError: error.message } }
+      );
+      failures.push({
+        betId: pending._id,
+        userId: pending.userId,
+        attempts: pending.settlementAttempts + 1,
+        error: error.message
+      });
+    }
+
+    if (scheduler && job && i % 50 === 49) {
+      await scheduler.extendLock(job);
+    }
+  }
+
+  settlement.summary = await getSettlementProgress(market);
+  settlement.failures = failures;
+
+  if (failures.length > 0) {
+    const finalAttempt = !job || job.attempts >= job.maxAttempts;
+
+    settlement.status = finalAttempt ? 'failed' : 'running';
+    settlement.lastError = `${failures.length} bet(s) failed to settle`;
+    await settlement.save();
+
+    throw new Error(settlement.lastError);
+  }
+
+  // Every bet is paid, so the market's account can be closed
+  await ledger.sweepMarketAccount(market);
+
+  // Parlays with a leg on the market settle that leg too, and conditional
+  // markets tied to another outcome are cancelled
+  let parlayChanges;
+  try {
+    parlayChanges = await settleParlayLegs(market);
+    if (scheduler) {
+      await scheduleConditionalCancellation(scheduler, market);
+    }
+  } catch (error) {
+    settlement.status = !job || job.attempts >= job.maxAttempts ? 'failed' : 'running';
+    settlement.lastError = error.message;
+    await settlement.save();
+
+    throw error;
+  }
+
+  settlement.status = 'completed';
+  settlement.completedAt = new Date();
+  settlement.lastError = null;
+  await settlement.save();
+
+  if (wsService) {
+    wsService.broadcastMarketResolution(market);
+    notifyParlayChanges(wsService, market, parlayChanges);
+  }
+
+  return settlement;
+};
+
+// Queue a settlement again after it ran out of job attempts
+const retrySettlement = async (settlement, scheduler) => {
+  settlement.status = 'pending';
+  settlement.lastError = null;
+  await settlement.save();
+
+  return await scheduler.schedule('settle_market', new Date(), {
+    marketId: settlement.marketId.toString()
+  }, { maxAttempts: SETTLEMENT_JOB_ATTEMPTS });
+};
+
+// Requeue settlements that never finished, e.g. if the server stopped before
+// their job was scheduled. Safe to run on every startup.
+const ensureSettlementJobs = async (scheduler) => {
+  const settlements = await Settlement.find({ status: { $in: ['pending', 'running'] } }).select('marketId');
+  for (const settlement of settlements) {
+    await scheduler.schedule('settle_market', new Date(), {
+      marketId: settlement.marketId.toString()
+    }, { uniqueKey: settleJobKey(settlement.marketId), maxAttempts: SETTLEMENT_JOB_ATTEMPTS });
+  }
+};
+
+const registerSettlementJobs = (scheduler, wsService) => {
+  scheduler.define('settle_market', async ({ marketId }, job) => {
+    await runSettlement(marketId, { scheduler, job, wsService });
+  });
+};
+
+// Re-resolve a resolved market to a different outcome. Every settled bet is
+// reversed with a compensating transaction and settled again, all in one
+// Mongo transaction, and the affected users and balance deltas are written
+// to a ResolutionRevision report.
+const reresolveMarket = async (market, resolution, { reason, adminId, wsService, scheduler }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let revision;
+  let parlayChanges;
+
+  try {
+    revision = new ResolutionRevision({
+      marketId: market._id,
+      adminId,
+      reason,
+      previousResolution: copyResolution(market),
+      previousResolutionValue: market.resolutionValue
+    });
+
+    // An N/A resolution settled its bets as refunds
+    const settledFilter = [{ status: { $in: ['won', 'lost', 'partial'] } }];
+    if (market.isVoided()) {
+      settledFilter.push({ status: 'refunded', settledAt: { $gte: market.resolutionDate } });
+    }
+
+    market.resolve(resolution);
+    await market.save({ session });
+
+    revision.newResolution = copyResolution(market);
+    revision.newResolutionValue = market.resolutionValue;
+
+    const settledBets = await Bet.find({ marketId: market._id, $or: settledFilter })
+      .session(session);
+
+    const betsByUser = new Map();
+    settledBets.forEach(bet => {
+      const key = bet.userId.toString();
+      if (!betsByUser.has(key)) betsByUser.set(key, []);
+      betsByUser.get(key).push(bet);
+    });
+
+    for (const [userId, bets] of betsByUser) {
+      const user = await User.findById(userId).session(session);
+      const balanceBefore = user.balance;
+      let balance = user.balance;
+      let shortfall = 0;
+
+      // Credit the new payouts first so reversals can draw on them
+      const reversals = [];
+      for (const bet of bets) {
+        const previous = { status: bet.status, payout: bet.actualPayout };
+
+        bet.unsettle();
+        if (market.isVoided()) {
+          bet.refund();
+        } else {
+          bet.settle(market.getPayoutFraction(bet.option));
+        }
+        await bet.save({ session });
+
+        if (bet.actualPayout > 0) {
+          const transaction = await ledger.transfer({
+            from: ledger.marketAccount(market._id),
+            to: ledger.userAccount(userId),
+            type: market.isVoided() ? 'refund' : 'win',
+            amount: bet.actualPayout,
+            description: `Re-resolved payout on market: ${market.title}`,
+            relatedBetId: bet._id,
+            relatedMarketId: market._id,
+            adminId
+          }, session);
+          balance = transaction.balanceAfter;
+        }
+
+        reversals.push({ bet, previous });
+        revision.bets.push({
+          betId: bet._id,
+          userId,
+          option: bet.option,
+          previousStatus: previous.status,
+          newStatus: bet.status,
+          previousPayout: previous.payout,
+          newPayout: bet.actualPayout
+        });
+        revision.totals.previousPaid += previous.payout;
+        revision.totals.newPaid += bet.actualPayout;
+      }
+
+      for (const { bet, previous } of reversals) {
+        if (previous.payout <= 0) continue;
+
+        // Balances can't go negative: collect what's there, report the rest
+        const collectable = Math.min(previous.payout, balance);
+        shortfall += previous.payout - collectable;
+
+        if (collectable > 0) {
+          const transaction = await ledger.transfer({
+            from: ledger.userAccount(userId),
+            to: ledger.marketAccount(market._id),
+            type: 'settlement_reversal',
+            amount: collectable,
+            description: `Reversed payout after re-resolution of market: ${market.title}`,
+            relatedBetId: bet._id,
+            relatedMarketId: market._id,
+            adminId
+          }, session);
+          balance = transaction.balanceAfter;
+        }
+      }
+
+      const updatedUser = await User.findById(userId).session(session);
+      await updatedUser.recalculateStats(session);
+      await updatedUser.save({ session });
+
+      revision.users.push({
+        userId,
+        balanceBefore,
+        balanceAfter: balance,
+        delta: balance - balanceBefore,
+        shortfall
+      });
+      revision.totals.shortfall += shortfall;
+    }
+
+    await ledger.sweepMarketAccount(market, session);
+    await revision.save({ session });
+
+    parlayChanges = await settleParlayLegs(market, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+
+  // Conditional markets still trading may be tied to the old outcome
+  if (scheduler) {
+    await scheduleConditionalCancellation(scheduler, market);
+  }
+
+  if (wsService) {
+    wsService.broadcastMarketResolution(market);
+
+    revision.users.forEach(entry => {
+      wsService.sendNotification(entry.userId, {
+        type: 'market_reresolved',
+        marketId: market._id,
+        title: 'Market re-resolved',
+        message: `Market "${market.title}" was re-resolved to ${market.resolution.outcome}. Your balance changed by ${entry.delta.toFixed(2)} units.`,
+        delta: entry.delta
+      });
+    });
+
+    notifyParlayChanges(wsService, market, parlayChanges);
+  }
+
+  return revision;
+};
+
+module.exports = {
+  settleMarket,
+  runSettlement,
+  retrySettlement,
+  getSettlementProgress,
+  ensureSettlementJobs,
+  registerSettlementJobs,
+  reresolveMarket
+};
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Market = require('../models/Market');
+const MarketProposal = require('../models/MarketProposal');
+const MarketSeries = require('../models/MarketSeries');
+
+// Categories and the tag registry
+
+// Run `work` in a Mongo transaction
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    session.endSession();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// Categories markets used while they were hard-coded, seeded on first start
+const DEFAULT_CATEGORIES = [
+  { slug: 'politics', name: 'Politics', order: 0 },
+  { slug: 'sports', name: 'Sports', order: 1 },
+  { slug: 'finance', name: 'Finance', order: 2 },
+  { slug: 'technology', name: 'Technology', order: 3 },
+  { slug: 'entertainment', name: 'Entertainment', order: 4 },
+  { slug: 'other', name: 'Other', order: 100 }
+];
+
+// Seed the default categories into an empty collection. Safe to run on every
+// startup.
+const ensureDefaultCategories = async () => {
+  if (await Category.countDocuments() > 0) {
+    return;
+  }
+  await Category.insertMany(DEFAULT_CATEGORIES);
+};
+
+// Find the parent a category is moved under, making sure it doesn't create
+// a cycle. Returns { parent } or { error }.
+const findCategoryParent = async (category, parentSlug) => {
+  if (!parentSlug) {
+    return { parent: null };
+  }
+
+  const parent = await Category.findOne({ slug: parentSlug });
+  if (!parent) {
+    return { error: 'Parent category not found' };
+  }
+
+  if (category) {
+    const descendants = await Category.getTreeSlugs(category.slug);
+    if (descendants.includes(parent.slug)) {
+      return { error: 'A category cannot be nested under itself or its subcategories' };
+    }
+  }
+
+  return { parent };
+};
+
+// Number of markets per category slug
+const getCategoryCounts = async () => {
+  const counts = await Market.aggregate([
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+// Rename a category's slug, on its markets, proposals and series too
+const renameCategory = async (category, slug) => {
+  if (await Category.exists({ slug })) {
+    const error = new Error(`Category "${slug}" already exists`);
+    error.status = 409;
+    throw error;
+  }
+
+  return await runInTransaction(async (session) => {
+    await Market.updateMany({ category: category.slug }, { $set: { category: slug } }, { session });
+    await MarketProposal.updateMany({ category: category.slug }, { $set: { category: slug } }, { session });
+    await MarketSeries.updateMany(
+      { 'template.category': category.slug },
+      { $set: { 'template.category': slug } },
+      { session }
+    );
+    category.slug = slug;
+    await category.save({ session });
+    return category;
+  });
+};
+
+// Normalize tags, drop duplicates and add new ones to the registry
+const registerTags = async (tags, session = null) => {
+  const slugs = [];
+  for (const tag of tags) {
+    const slug = Tag.normalize(tag);
+    if (!slug || slugs.includes(slug)) {
+      continue;
+    }
+
+    slugs.push(slug);
+    await Tag.updateOne(
+      { slug },
+      { $setOnInsert: { slug, name: tag.trim() } },
+      { upsert: true, runValidators: true, session }
+    );
+  }
+  return slugs;
+};
+
+// Normalize the tags of markets created before the registry and register
+// them all. Safe to run on every startup.
+const ensureTagRegistry = async () => {
+  const markets = await Market.find({ tags: { $elemMatch: { $regex: /[A-Z\s_]/ } } }).select('tags');
+  for (const market of markets) {
+    const tags = [...new Set(market.tags.map(Tag.normalize))];
+    await Market.updateOne({ _id: market._id }, { $set: { tags } });
+  }
+
+  const used = await Market.distinct('tags');
+  const registered = new Set(await Tag.distinct('slug'));
+  await registerTags(used.filter(tag => !registered.has(tag)));
+};
+
+// Number of markets per tag, for the given tags or all of them
+const getTagCounts = async (slugs = null) => {
+  const counts = await Market.aggregate([
+    ...(slugs ? [{ $match: { tags: { $in: slugs } } }] : []),
+    { $unwind: '$tags' },
+    ...(slugs ? [{ $match: { tags: { $in: slugs } } }] : []),
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+// Replace a tag on pending proposals and series templates. They keep tags as
+// they were entered and only register them when a market is created, so
+// tags are matched by their normalized form.
+const retagDrafts = async (fromSlug, toSlug, session) => {
+  const words = fromSlug.split('-').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`^\\s*${words.join('[\\s_-]+')}\\s*$`, 'i');
+
+  const retag = (tags) => {
+    const slugs = new Set();
+    return tags
+      .map(tag => Tag.normalize(tag) === fromSlug ? toSlug : tag)
+      .filter(tag => {
+        const slug = Tag.normalize(tag);
+        if (slugs.has(slug)) return false;
+        slugs.add(slug);
+        return true;
+      });
+  };
+
+  const proposals = await MarketProposal.find({ status: 'pending', tags: pattern }).select('tags').session(session);
+  for (const proposal of proposals) {
+    await MarketProposal.updateOne({ _id: proposal._id }, { $set: { tags: retag(proposal.tags) } }, { session });
+  }
+
+  const series = await MarketSeries.find({ 'template.tags': pattern }).select('template.tags').session(session);
+  for (const { _id, template } of series) {
+    await MarketSeries.updateOne({ _id }, { $set: { 'template.tags': retag(template.tags) } }, { session });
+  }
+};
+
+// Rename a tag, on every market, pending proposal and series that uses it too
+const renameTag = async (tag, { slug, name }) => {
+  const newSlug = slug ? Tag.normalize(slug) : tag.slug;
+
+  if (newSlug !== tag.slug && await Tag.exists({ slug: newSlug })) {
+    const error = new Error(`Tag "${newSlug}" already exists, merge into it instead`);
+    error.status = 409;
+    throw error;
+  }
+
+  return await runInTransaction(async (session) => {
+    if (newSlug !== tag.slug) {
+      await Market.updateMany(
+        { tags: tag.slug },
+        { $set: { 'tags.$[tag]': newSlug } },
+        { arrayFilters: [{ tag: tag.slug }], session }
+      );
+      await retagDrafts(tag.slug, newSlug, session);
+    }
+
+    tag.slug = newSlug;
+    if (name) tag.name = name;
+    await tag.save({ session });
+    return tag;
+  });
+};
+
+// Replace a tag with another on every market, pending proposal and series,
+// and remove it from the registry. Returns the number of markets that were
+// retagged.
+const mergeTags = async (source, target) => {
+  return await runInTransaction(async (session) => {
+    const markets = await Market.countDocuments({ tags: source.slug }).session(session);
+    await Market.updateMany(
+      { tags: source.slug },
+      { $addToSet: { tags: target.slug } },
+      { session }
+    );
+    await Market.updateMany(
+      { tags: source.slug },
+      { $pull: { tags: source.slug } },
+      { session }
+    );
+    await retagDrafts(source.slug, target.slug, session);
+    await Tag.deleteOne({ _id: source._id }, { session });
+    return markets;
+  });
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  ensureDefaultCategories,
+  findCategoryParent,
+  getCategoryCounts,
+  renameCategory,
+  registerTags,
+  ensureTagRegistry,
+  getTagCounts,
+  renameTag,
+  mergeTags
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { fromOptionMap } = require('../utils/optionKeys');
 
 class WebSocketService {
   constructor(io) {
@@ -78,7 +79,7 @@ class WebSocketService {
   broadcastBetUpdate(bet, market) {
     this.io.to(`market_${market._id}`).emit('bet_update', {
       marketId: market._id,
-      newOdds: Object.fromEntries(market.currentOdds),
+      newOdds: market.getOdds(),
       totalVolume: market.totalVolume,
       participantCount: market.participantCount,
       recentBet: {
@@ -92,11 +93,74 @@ class WebSocketService {
     console.log(`Broadcasted bet update for market ${market._id}`);
   }
 
+  // Broadcast shares sold back to the market maker
+  broadcastSellUpdate(bet, market, sale) {
+    this.io.to(`market_${market._id}`).emit('bet_update', {
+      marketId: market._id,
+      newOdds: market.getOdds(),
+      totalVolume: market.totalVolume,
+      participantCount: market.participantCount,
+      recentSale: {
+        shares: sale.shares,
+        proceeds: sale.proceeds,
+        option: bet.option,
+        timestamp: new Date(),
+        userId: bet.userId
+      }
+    });
+  }
+
+  // Broadcast the prices of a market whose liquidity changed
+  broadcastLiquidityUpdate(market) {
+    this.io.to(`market_${market._id}`).emit('liquidity_update', {
+      marketId: market._id,
+      liquidity: market.liquidity,
+      newOdds: market.getOdds()
+    });
+  }
+
+  // Broadcast an order book fill to the market room and notify the resting order's owner
+  broadcastOrderFill(market, fill) {
+    this.io.to(`market_${market._id}`).emit('order_fill', {
+      marketId: market._id,
+      ...fill
+    });
+
+    this.sendNotification(fill.maker.userId, {
+      type: 'order_filled',
+      marketId: market._id,
+      title: 'Order filled',
+      message: `${fill.quantity} ${fill.maker.outcome} shares filled at ${fill.maker.price} on "${market.title}"`
+    });
+  }
+
+  // Broadcast the current depth book of a market
+  broadcastOrderBook(market, book) {
+    this.io.to(`market_${market._id}`).emit('order_book_update', {
+      marketId: market._id,
+      book
+    });
+  }
+
+  // Broadcast a new comment or reply to the market's discussion
+  broadcastNewComment(comment) {
+    this.io.to(`market_${comment.marketId}`).emit('new_comment', {
+      marketId: comment.marketId,
+      comment
+    });
+  }
+
   // Broadcast market resolution
   broadcastMarketResolution(market) {
+    // Payouts are sent keyed by option name rather than by stored key
+    const resolution = {
+      outcome: market.resolution.outcome,
+      payouts: fromOptionMap(market.resolution.payouts)
+    };
+
     this.io.emit('market_resolved', {
       marketId: market._id,
-      resolution: market.resolution,
+      resolution,
       resolutionDate: market.resolutionDate,
       title: market.title
     });
@@ -104,13 +168,33 @@ class WebSocketService {
     // Also notify specific bet participants
     this.io.to(`market_${market._id}`).emit('market_resolved_participants', {
       marketId: market._id,
-      resolution: market.resolution,
-      message: `Market "${market.title}" has been resolved with outcome: ${market.resolution}`
+      resolution,
+      message: `Market "${market.title}" has been resolved with outcome: ${resolution.outcome}`
     });
 
     console.log(`Broadcasted market resolution for ${market.title}`);
   }
 
+  // Broadcast market cancellation to market participants
+  broadcastMarketCancellation(market, affectedUserIds = []) {
+    this.io.to(`market_${market._id}`).emit('market_cancelled', {
+      marketId: market._id,
+      reason: market.cancellationReason,
+      message: `Market "${market.title}" has been cancelled and all bets refunded`
+    });
+
+    affectedUserIds.forEach(userId => {
+      this.sendNotification(userId, {
+        type: 'market_cancelled',
+        marketId: market._id,
+        title: 'Market cancelled',
+        message: `Market "${market.title}" was cancelled: ${market.cancellationReason}. Your bets have been refunded.`
+      });
+    });
+
+    console.log(`Broadcasted market cancellation for ${market.title}`);
+  }
+
   // Send user-specific updates
   sendUserUpdate(userId, update) {
     this.io.to(`user_${userId}`).emit('user_update', update);
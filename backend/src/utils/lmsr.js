@@ -0,0 +1,61 @@
+// Logarithmic Market Scoring Rule (Hanson) market maker math.
+//
+// The maker's state is the vector q of outstanding shares per option and the
+// liquidity parameter b. Every function here is pure and works on plain
+// objects keyed by option name, so it can be used from models, routes and
+// services alike.
+
+// Cost function C(q) = b * ln(sum_i exp(q_i / b)), computed with the
+// log-sum-exp trick so large share counts don't overflow.
+const cost = (shares, b) => {
+  const values = Object.values(shares);
+  const max = Math.max(...values);
+  const sum = values.reduce((acc, q) => acc + Math.exp((q - max) / b), 0);
+  return max + b * Math.log(sum);
+};
+
+// Instantaneous prices p_i = exp(q_i / b) / sum_j exp(q_j / b).
+// Prices are always in (0, 1) and sum to 1.
+const prices = (shares, b) => {
+  const entries = Object.entries(shares);
+  const max = Math.max(...entries.map(([, q]) => q));
+  const weights = entries.map(([option, q]) => [option, Math.exp((q - max) / b)]);
+  const total = weights.reduce((acc, [, w]) => acc + w, 0);
+
+  const result = {};
+  weights.forEach(([option, w]) => {
+    result[option] = w / total;
+  });
+  return result;
+};
+
+// Cost of buying `quantity` shares of `option` (negative quantity = selling).
+const costToBuy = (shares, b, option, quantity) => {
+  const after = { ...shares, [option]: shares[option] + quantity };
+  return cost(after, b) - cost(shares, b);
+};
+
+// Number of shares of `option` that `amount` units buys at the integral cost.
+// Closed form of solving C(q + x * e_i) - C(q) = amount for x.
+const sharesForAmount = (shares, b, option, amount) => {
+  const price = prices(shares, b)[option];
+  return b * Math.log(1 + (Math.exp(amount / b) - 1) / price);
+};
+
+// Maximum amount the maker can lose on a market with `optionCount` options
+// that started from uniform prices.
+const maxLoss = (b, optionCount) => b * Math.log(optionCount);
+
+// Most the maker can still lose if an option now priced at `price` wins:
+// buying it up to a price of 1 costs traders b * ln(1 / price) less than the
+// shares they get pay out.
+const maxFurtherLoss = (b, price) => b * Math.log(1 / price);
+
+module.exports = {
+  cost,
+  prices,
+  costToBuy,
+  sharesForAmount,
+  maxLoss,
+  maxFurtherLoss
+};
@@ -0,0 +1,161 @@
+const { body, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+
+const isRangeMarket = body('type').equals('range');
+
+// Validation chains for a market's optional list of tags
+const tagValidators = [
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be a list of at most 20 tags'),
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be a string')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters')
+];
+
+// Validation chains for the fields a market is created from. Shared by market
+// creation and market proposals.
+const marketValidators = [
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters'),
+  body('category')
+    .custom(async (slug) => {
+      if (typeof slug !== 'string' || !(await Category.exists({ slug, isActive: true }))) {
+        throw new Error('Invalid category');
+      }
+      return true;
+    }),
+  body('type')
+    .isIn(['binary', 'multiple', 'range'])
+    .withMessage('Invalid market type'),
+  body('options')
+    .if(body('type').not().equals('range'))
+    .isArray({ min: 2 })
+    .withMessage('At least 2 options are required'),
+  body('range.mode')
+    .if(isRangeMarket)
+    .isIn(['buckets', 'scalar'])
+    .withMessage('Range mode must be buckets or scalar'),
+  body('range.min')
+    .if(isRangeMarket)
+    .isFloat()
+    .withMessage('Range minimum must be a number'),
+  body('range.max')
+    .if(isRangeMarket)
+    .isFloat()
+    .withMessage('Range maximum must be a number')
+    .custom((value, { req }) => {
+      if (Number(value) <= Number(req.body.range.min)) {
+        throw new Error('Range maximum must be greater than the minimum');
+      }
+      return true;
+    }),
+  body('range.edges')
+    .if(isRangeMarket)
+    .optional()
+    .isArray({ min: 3, max: 51 })
+    .withMessage('Bucket edges must define between 2 and 50 buckets')
+    .custom((edges, { req }) => {
+      const values = edges.map(Number);
+      if (values.some(isNaN)) {
+        throw new Error('Bucket edges must be numbers');
+      }
+      if (values.some((edge, i) => i > 0 && edge <= values[i - 1])) {
+        throw new Error('Bucket edges must be strictly increasing');
+      }
+      if (values[0] !== Number(req.body.range.min) || values[values.length - 1] !== Number(req.body.range.max)) {
+        throw new Error('Bucket edges must start at the minimum and end at the maximum');
+      }
+      return true;
+    }),
+  body('range.bucketCount')
+    .if(isRangeMarket)
+    .optional()
+    .isInt({ min: 2, max: 50 })
+    .withMessage('Bucket count must be between 2 and 50'),
+  body('range')
+    .if(isRangeMarket)
+    .custom((range) => {
+      if (range.mode === 'buckets' && !range.edges && !range.bucketCount) {
+        throw new Error('Bucket markets require edges or a bucket count');
+      }
+      return true;
+    }),
+  body('orderBookEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Order book flag must be a boolean')
+    .custom((value, { req }) => {
+      if (value && req.body.type !== 'binary') {
+        throw new Error('Order book is only available for binary markets');
+      }
+      return true;
+    }),
+  body('resolutionCriteria')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Resolution criteria must be between 10 and 2000 characters'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('End date must be in the future');
+      }
+      return true;
+    }),
+  ...tagValidators
+];
+
+const hasCondition = body('condition').exists({ values: 'null' });
+
+// Validation chains for the parent market outcome a conditional market is
+// tied to. Whether the parent exists is checked when the market is created.
+const conditionValidators = [
+  body('condition')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Condition must be an object with a parent market and an outcome'),
+  body('condition.parentMarket')
+    .if(hasCondition)
+    .isMongoId()
+    .withMessage('Invalid parent market ID'),
+  body('condition.outcome')
+    .if(hasCondition)
+    .isString()
+    .notEmpty()
+    .withMessage('Condition outcome is required')
+];
+
+// Custom validator for filters by category, which may name inactive ones
+const isKnownCategory = async (slug) => {
+  if (!(await Category.exists({ slug }))) {
+    throw new Error('Invalid category');
+  }
+  return true;
+};
+
+// Run validation chains against a set of fields instead of the request body,
+// e.g. a stored proposal or a rendered template. Replaces req.body with the
+// sanitized fields.
+const validateFields = async (req, fields, validators = marketValidators) => {
+  req.body = {
+    ...fields,
+    endDate: fields.endDate instanceof Date ? fields.endDate.toISOString() : fields.endDate
+  };
+  await Promise.all(validators.map(chain => chain.run(req)));
+  return validationResult(req);
+};
+
+module.exports = { marketValidators, tagValidators, conditionValidators, isKnownCategory, validateFields };
@@ -0,0 +1,23 @@
+// Option names are used as keys of Mongoose Maps (odds, shares, payouts),
+// which can't contain '.'. Keys are stored with decimal points escaped and
+// turned back into option names whenever they are read.
+
+const ESCAPED_DOT = '\uff0e';
+
+const toOptionKey = (option) => option.split('.').join(ESCAPED_DOT);
+const fromOptionKey = (key) => key.split(ESCAPED_DOT).join('.');
+
+// Map with escaped keys from an object keyed by option name
+const toOptionMap = (values) => new Map(
+  Object.entries(values).map(([option, value]) => [toOptionKey(option), value])
+);
+
+// Object keyed by option name from a stored Map, or the plain object a lean
+// query or aggregation returns for it
+const fromOptionMap = (map) => {
+  if (!map) return map;
+  const entries = map instanceof Map ? [...map.entries()] : Object.entries(map);
+  return Object.fromEntries(entries.map(([key, value]) => [fromOptionKey(key), value]));
+};
+
+module.exports = { toOptionKey, fromOptionKey, toOptionMap, fromOptionMap };
@@ -0,0 +1,21 @@
+// Retry a unit of work that lost a race on a shared document: a Mongo
+// transaction write conflict or a mongoose optimistic concurrency VersionError.
+// The task must start its own transaction so each attempt sees fresh state.
+const isConflict = (error) => {
+  if (error.name === 'VersionError') return true;
+  return typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError');
+};
+
+const withConflictRetry = async (task, attempts = 3) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= attempts || !isConflict(error)) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = { withConflictRetry };
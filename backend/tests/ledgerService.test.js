@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const ledger = require('../src/services/ledgerService');
+const { createMemoryLedger } = require('./support/memoryLedger');
+
+let store;
+
+// A user funded through the ledger, the way registration does it
+const fundedUser = async (amount) => {
+  const user = store.addUser(0);
+  await ledger.transfer({
+    from: ledger.MINT,
+    to: ledger.userAccount(user._id),
+    amount,
+    type: 'starting_balance',
+    description: 'Starting balance'
+  });
+  return user;
+};
+
+beforeEach(() => {
+  store = createMemoryLedger();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('transfer', () => {
+  test('posts a balanced journal and records the wallet change', async () => {
+    const user = await fundedUser(1000);
+    const marketId = new mongoose.Types.ObjectId();
+
+    const transaction = await ledger.transfer({
+      from: ledger.userAccount(user._id),
+      to: ledger.marketAccount(marketId),
+      amount: 250,
+      type: 'bet',
+      description: 'Bet',
+      relatedMarketId: marketId
+    });
+
+    expect(user.balance).toBe(750);
+    expect(store.balanceOf(ledger.marketAccount(marketId))).toBe(250);
+    expect(store.balanceOf(ledger.MINT)).toBe(-1000);
+    expect(transaction.amount).toBe(-250);
+    expect(transaction.balanceBefore).toBe(1000);
+    expect(transaction.balanceAfter).toBe(750);
+    store.expectBalanced();
+  });
+
+  test('transfers between non-wallet accounts leave wallets alone', async () => {
+    const user = await fundedUser(100);
+    const marketId = new mongoose.Types.ObjectId();
+
+    const transaction = await ledger.transfer({
+      from: ledger.HOUSE,
+      to: ledger.marketAccount(marketId),
+      amount: 500,
+      type: 'liquidity_subsidy',
+      description: 'Subsidy'
+    });
+
+    expect(transaction).toBeNull();
+    expect(user.balance).toBe(100);
+    expect(store.balanceOf(ledger.HOUSE)).toBe(-500);
+    store.expectBalanced();
+  });
+
+  test('rejects amounts that are not positive', async () => {
+    const user = await fundedUser(100);
+
+    for (const amount of [0, -5, NaN]) {
+      await expect(ledger.transfer({
+        from: ledger.userAccount(user._id),
+        to: ledger.HOUSE,
+        amount,
+        type: 'bet',
+        description: 'Bet'
+      })).rejects.toThrow('positive amount');
+    }
+    expect(store.journals()).toHaveLength(1);
+  });
+
+  test('refuses to overdraw a wallet and posts nothing', async () => {
+    const user = await fundedUser(100);
+
+    await expect(ledger.transfer({
+      from: ledger.userAccount(user._id),
+      to: ledger.HOUSE,
+      amount: 100.01,
+      type: 'bet',
+      description: 'Bet'
+    })).rejects.toMatchObject({ status: 400, message: 'Insufficient balance' });
+
+    expect(user.balance).toBe(100);
+    expect(store.journals()).toHaveLength(1);
+    store.expectBalanced();
+  });
+
+  test('reports a missing user as not found', async () => {
+    await expect(ledger.transfer({
+      from: ledger.HOUSE,
+      to: ledger.userAccount(new mongoose.Types.ObjectId()),
+      amount: 10,
+      type: 'admin_adjustment',
+      description: 'Adjustment'
+    })).rejects.toMatchObject({ status: 404 });
+
+    expect(store.entries).toHaveLength(0);
+  });
+});
+
+describe('sweepMarketAccount', () => {
+  const market = { _id: new mongoose.Types.ObjectId(), title: 'Swept market' };
+
+  test('sends leftover stakes to the house', async () => {
+    const user = await fundedUser(100);
+    await ledger.transfer({
+      from: ledger.userAccount(user._id),
+      to: ledger.marketAccount(market._id),
+      amount: 40,
+      type: 'bet',
+      description: 'Bet'
+    });
+
+    expect(await ledger.sweepMarketAccount(market)).toBe(40);
+    expect(store.balanceOf(ledger.marketAccount(market._id))).toBeCloseTo(0, 9);
+    expect(store.balanceOf(ledger.HOUSE)).toBe(40);
+    store.expectBalanced();
+  });
+
+  test('has the house cover a market maker loss', async () => {
+    const user = await fundedUser(100);
+    await ledger.transfer({
+      from: ledger.userAccount(user._id),
+      to: ledger.marketAccount(market._id),
+      amount: 40,
+      type: 'bet',
+      description: 'Bet'
+    });
+    // The market maker pays out more than it took in
+    await ledger.transfer({
+      from: ledger.marketAccount(market._id),
+      to: ledger.userAccount(user._id),
+      amount: 65,
+      type: 'win',
+      description: 'Win'
+    });
+
+    expect(await ledger.sweepMarketAccount(market)).toBe(-25);
+    expect(store.balanceOf(ledger.marketAccount(market._id))).toBeCloseTo(0, 9);
+    expect(store.balanceOf(ledger.HOUSE)).toBe(-25);
+    expect(user.balance).toBe(125);
+    store.expectBalanced();
+  });
+
+  test('does nothing for an empty account', async () => {
+    expect(await ledger.sweepMarketAccount(market)).toBe(0);
+    expect(store.entries).toHaveLength(0);
+  });
+});
+
+describe('ensureOpeningBalances', () => {
+  test('brings cached balances into the ledger once', async () => {
+    const legacy = store.addUser(80);
+    const funded = await fundedUser(1000);
+    const empty = store.addUser(0);
+
+    await ledger.ensureOpeningBalances();
+    await ledger.ensureOpeningBalances();
+
+    expect(legacy.balance).toBe(80);
+    expect(funded.balance).toBe(1000);
+    expect(empty.balance).toBe(0);
+    expect(store.entries.filter(entry => entry.type === 'opening_balance')).toHaveLength(2);
+    expect(store.balanceOf(ledger.MINT)).toBe(-1080);
+    store.expectBalanced();
+  });
+});
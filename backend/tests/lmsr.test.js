@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const lmsr = require('../src/utils/lmsr');
+const Market = require('../src/models/Market');
+const Bet = require('../src/models/Bet');
+
+const B = 1000;
+
+const newMarket = (options = ['Yes', 'No'], liquidity = B) => {
+  const market = new Market({
+    title: 'Test market',
+    description: 'Test market',
+    category: 'other',
+    type: options.length === 2 ? 'binary' : 'multiple',
+    options,
+    endDate: new Date(Date.now() + 86400000),
+    liquidity,
+    creator: new mongoose.Types.ObjectId()
+  });
+  market.calculateInitialOdds();
+  return market;
+};
+
+const sum = (values) => Object.values(values).reduce((total, value) => total + value, 0);
+
+describe('LMSR math', () => {
+  test('starts from uniform prices that sum to 1', () => {
+    const prices = lmsr.prices({ A: 0, B: 0, C: 0 }, B);
+
+    Object.values(prices).forEach(price => expect(price).toBeCloseTo(1 / 3, 12));
+    expect(lmsr.cost({ A: 0, B: 0, C: 0 }, B)).toBeCloseTo(B * Math.log(3), 9);
+  });
+
+  test('prices stay in (0, 1) and sum to 1 for large share counts', () => {
+    const shares = { Yes: 1e6, No: 0 };
+
+    expect(Number.isFinite(lmsr.cost(shares, B))).toBe(true);
+    const prices = lmsr.prices(shares, B);
+    expect(sum(prices)).toBeCloseTo(1, 12);
+    expect(prices.No).toBeGreaterThanOrEqual(0);
+    expect(prices.Yes).toBeLessThanOrEqual(1);
+  });
+
+  test('sharesForAmount inverts costToBuy', () => {
+    const shares = { Yes: 250, No: -40 };
+
+    [1, 10, 500, 5000].forEach(amount => {
+      const quantity = lmsr.sharesForAmount(shares, B, 'Yes', amount);
+      expect(lmsr.costToBuy(shares, B, 'Yes', quantity)).toBeCloseTo(amount, 6);
+    });
+  });
+
+  test('buying costs more than the current price and less than 1 per share', () => {
+    const shares = { Yes: 0, No: 0 };
+    const quantity = 100;
+    const cost = lmsr.costToBuy(shares, B, 'Yes', quantity);
+
+    expect(cost).toBeGreaterThan(lmsr.prices(shares, B).Yes * quantity);
+    expect(cost).toBeLessThan(quantity);
+  });
+
+  test('the maker never loses more than b * ln(n) from uniform prices', () => {
+    const options = { A: 0, B: 0, C: 0, D: 0 };
+    const quantity = 50000;
+    const collected = lmsr.costToBuy(options, B, 'A', quantity);
+
+    // A wins: the maker pays 1 per share
+    expect(quantity - collected).toBeLessThanOrEqual(lmsr.maxLoss(B, 4) + 1e-6);
+    expect(quantity - collected).toBeCloseTo(lmsr.maxLoss(B, 4), 3);
+  });
+
+  test('maxFurtherLoss bounds buying an option up to a price of 1', () => {
+    const shares = { Yes: 300, No: 0 };
+    const price = lmsr.prices(shares, B).Yes;
+    const quantity = 50000;
+    const collected = lmsr.costToBuy(shares, B, 'Yes', quantity);
+
+    expect(quantity - collected).toBeLessThanOrEqual(lmsr.maxFurtherLoss(B, price) + 1e-6);
+    expect(quantity - collected).toBeCloseTo(lmsr.maxFurtherLoss(B, price), 3);
+  });
+});
+
+describe('Market maker trades', () => {
+  test('a buy moves the price up and records the shares', () => {
+    const market = newMarket();
+    const { shares, averagePrice } = market.buyShares('Yes', 100);
+
+    expect(market.getShares()).toEqual({ Yes: shares, No: 0 });
+    expect(market.getPrice('Yes')).toBeGreaterThan(0.5);
+    expect(averagePrice).toBeCloseTo(100 / shares, 12);
+    expect(sum(market.getOdds())).toBeCloseTo(1, 12);
+    expect(market.totalVolume).toBe(100);
+  });
+
+  test('quoteBuy matches the buy without changing the market', () => {
+    const market = newMarket(['Red', 'Green', 'Blue']);
+    const quote = market.quoteBuy('Green', 250);
+
+    expect(market.getShares()).toEqual({ Red: 0, Green: 0, Blue: 0 });
+    expect(market.buyShares('Green', 250).shares).toBeCloseTo(quote.shares, 9);
+    expect(market.getPrice('Green')).toBeCloseTo(quote.priceAfter, 12);
+  });
+
+  test('selling what was just bought returns the cost and restores the prices', () => {
+    const market = newMarket();
+    const before = market.getOdds();
+    const { shares } = market.buyShares('Yes', 400);
+    const { proceeds } = market.sellShares('Yes', shares);
+
+    expect(proceeds).toBeCloseTo(400, 6);
+    expect(market.getShares().Yes).toBeCloseTo(0, 9);
+    expect(market.getPrice('Yes')).toBeCloseTo(before.Yes, 9);
+  });
+
+  test('selling after the price fell returns less than the cost', () => {
+    const market = newMarket();
+    const { shares } = market.buyShares('Yes', 200);
+    market.buyShares('No', 500);
+
+    expect(market.quoteSell('Yes', shares).proceeds).toBeLessThan(200);
+  });
+
+  test('option names with decimal points round-trip through the stored maps', () => {
+    const market = newMarket(['1.5 to 2.5', '2.5 to 3.5']);
+    market.buyShares('1.5 to 2.5', 100);
+
+    expect(Object.keys(market.getOdds())).toEqual(['1.5 to 2.5', '2.5 to 3.5']);
+    expect(market.getShares()['1.5 to 2.5']).toBeGreaterThan(0);
+  });
+
+  test('changing the liquidity keeps the outstanding shares', () => {
+    const market = newMarket();
+    const { shares } = market.buyShares('Yes', 300);
+    const priceBefore = market.getPrice('Yes');
+
+    market.setLiquidity(4000);
+
+    expect(market.getShares()).toEqual({ Yes: shares, No: 0 });
+    expect(market.getPrice('Yes')).toBeLessThan(priceBefore);
+    expect(market.getPrice('Yes')).toBeCloseTo(lmsr.prices({ Yes: shares, No: 0 }, 4000).Yes, 12);
+  });
+});
+
+describe('Bet cost basis', () => {
+  const newBet = () => new Bet({
+    userId: new mongoose.Types.ObjectId(),
+    marketId: new mongoose.Types.ObjectId(),
+    option: 'Yes',
+    amount: 60,
+    oddsAtTime: 0.6,
+    shares: 100
+  });
+
+  test('selling part of a bet takes its share of the cost basis', () => {
+    const bet = newBet();
+    bet.sell(25, 20);
+
+    expect(bet.shares).toBe(75);
+    expect(bet.potentialPayout).toBe(75);
+    expect(bet.getRemainingCost()).toBeCloseTo(45, 12);
+    expect(bet.status).toBe('active');
+  });
+
+  test('selling every share closes the bet', () => {
+    const bet = newBet();
+    bet.sell(100, 70);
+
+    expect(bet.status).toBe('sold');
+    expect(bet.getRemainingCost()).toBe(0);
+    expect(bet.saleProceeds).toBe(70);
+  });
+
+  test('a refund defaults to the remaining cost basis', () => {
+    const bet = newBet();
+    bet.sell(50, 10);
+    bet.refund();
+
+    expect(bet.status).toBe('refunded');
+    expect(bet.actualPayout).toBeCloseTo(30, 12);
+  });
+});
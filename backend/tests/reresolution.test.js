@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+const Market = require('../src/models/Market');
+const Bet = require('../src/models/Bet');
+const Parlay = require('../src/models/Parlay');
+const ResolutionRevision = require('../src/models/ResolutionRevision');
+const ledger = require('../src/services/ledgerService');
+const { reresolveMarket } = require('../src/services/settlementService');
+const { settleParlayLegs } = require('../src/services/parlayService');
+const { createMemoryLedger, query } = require('./support/memoryLedger');
+
+let store;
+let bets;
+let parlays;
+
+const newMarket = (title) => {
+  const market = new Market({
+    title,
+    description: title,
+    category: 'other',
+    type: 'binary',
+    options: ['Yes', 'No'],
+    endDate: new Date(Date.now() + 86400000),
+    creator: new mongoose.Types.ObjectId()
+  });
+  market.calculateInitialOdds();
+  return market;
+};
+
+const fundedUser = async (amount) => {
+  const user = store.addUser(0);
+  await ledger.transfer({
+    from: ledger.MINT,
+    to: ledger.userAccount(user._id),
+    amount,
+    type: 'starting_balance',
+    description: 'Starting balance'
+  });
+  return user;
+};
+
+// A bet whose stake has been paid into the market's account
+const placeBet = async (market, user, option, amount, shares) => {
+  const bet = new Bet({ userId: user._id, marketId: market._id, option, amount, oddsAtTime: amount / shares, shares });
+  bet.calculatePotentialPayout();
+  await ledger.transfer({
+    from: ledger.userAccount(user._id),
+    to: ledger.marketAccount(market._id),
+    amount,
+    type: 'bet',
+    description: 'Bet'
+  });
+  bets.push(bet);
+  return bet;
+};
+
+// Resolve a market and settle its bets the way the settlement job does
+const resolveAndSettle = async (market, resolution) => {
+  market.resolve(resolution);
+  for (const bet of bets.filter(candidate => candidate.marketId.equals(market._id))) {
+    bet.settle(market.getPayoutFraction(bet.option));
+    if (bet.actualPayout > 0) {
+      await ledger.transfer({
+        from: ledger.marketAccount(market._id),
+        to: ledger.userAccount(bet.userId),
+        amount: bet.actualPayout,
+        type: 'win',
+        description: 'Win'
+      });
+    }
+  }
+  await ledger.sweepMarketAccount(market);
+};
+
+// Stored bets matching a filter's status clauses
+const matchesStatus = (bet, clause) => {
+  const status = clause.status.$in ? clause.status.$in.includes(bet.status) : clause.status === bet.status;
+  return status && (!clause.settledAt || bet.settledAt >= clause.settledAt.$gte);
+};
+
+beforeEach(() => {
+  store = createMemoryLedger();
+  bets = [];
+  parlays = [];
+
+  jest.spyOn(Market.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Bet.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(ResolutionRevision.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Parlay.prototype, 'save').mockImplementation(async function() { return this; });
+
+  jest.spyOn(Bet, 'find').mockImplementation((filter) => query(() => bets.filter(bet =>
+    bet.marketId.equals(filter.marketId) && filter.$or.some(clause => matchesStatus(bet, clause))
+  )));
+  jest.spyOn(Parlay, 'distinct').mockImplementation((field, filter) => query(() => parlays
+    .filter(parlay => parlay.legs.some(leg => leg.marketId.equals(filter['legs.marketId'])))
+    .map(parlay => parlay._id)
+  ));
+  jest.spyOn(Parlay, 'findById').mockImplementation((id) => query(() =>
+    parlays.find(parlay => parlay._id.equals(id)) || null
+  ));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('re-resolving bets', () => {
+  let market;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    market = newMarket('Re-resolved market');
+    alice = await fundedUser(100);
+    bob = await fundedUser(100);
+    await placeBet(market, alice, 'Yes', 60, 100);
+    await placeBet(market, bob, 'No', 40, 100);
+    await resolveAndSettle(market, 'Yes');
+  });
+
+  const userEntry = (revision, user) => revision.users.find(entry => entry.userId.toString() === user._id.toString());
+
+  test('moves the payout from the old winners to the new ones', async () => {
+    expect(alice.balance).toBe(140);
+    expect(bob.balance).toBe(60);
+
+    const revision = await reresolveMarket(market, 'No', { reason: 'Wrong outcome', adminId: new mongoose.Types.ObjectId() });
+
+    expect(alice.balance).toBe(40);
+    expect(bob.balance).toBe(160);
+    expect(userEntry(revision, alice)).toMatchObject({ balanceBefore: 140, balanceAfter: 40, delta: -100, shortfall: 0 });
+    expect(userEntry(revision, bob)).toMatchObject({ balanceBefore: 60, balanceAfter: 160, delta: 100, shortfall: 0 });
+    expect(revision.totals).toMatchObject({ previousPaid: 100, newPaid: 100, shortfall: 0 });
+    expect(bets.map(bet => bet.status)).toEqual(['lost', 'won']);
+    expect(store.balanceOf(ledger.marketAccount(market._id))).toBeCloseTo(0, 9);
+    store.expectBalanced();
+  });
+
+  test('pays the difference on a split resolution', async () => {
+    const revision = await reresolveMarket(market, { Yes: 0.5, No: 0.5 }, { reason: 'Split', adminId: null });
+
+    expect(userEntry(revision, alice).delta).toBeCloseTo(-50, 9);
+    expect(userEntry(revision, bob).delta).toBeCloseTo(50, 9);
+    expect(bets.map(bet => bet.status)).toEqual(['partial', 'partial']);
+    store.expectBalanced();
+  });
+
+  test('records what a spent balance cannot cover as a shortfall', async () => {
+    await ledger.transfer({
+      from: ledger.userAccount(alice._id),
+      to: ledger.HOUSE,
+      amount: 120,
+      type: 'bet',
+      description: 'Spent elsewhere'
+    });
+
+    const revision = await reresolveMarket(market, 'No', { reason: 'Wrong outcome', adminId: null });
+
+    expect(alice.balance).toBe(0);
+    expect(userEntry(revision, alice)).toMatchObject({ delta: -20, shortfall: 80 });
+    expect(revision.totals.shortfall).toBe(80);
+    // The house covers the uncollected reversal when the market is swept
+    expect(store.balanceOf(ledger.marketAccount(market._id))).toBeCloseTo(0, 9);
+    expect(store.balanceOf(ledger.HOUSE)).toBeCloseTo(40, 9);
+    store.expectBalanced();
+  });
+
+  test('refunds the stakes on N/A and restores the payouts when re-resolved back', async () => {
+    await reresolveMarket(market, Market.VOID_RESOLUTION, { reason: 'Void', adminId: null });
+
+    expect(alice.balance).toBe(100);
+    expect(bob.balance).toBe(100);
+    expect(bets.map(bet => bet.status)).toEqual(['refunded', 'refunded']);
+
+    await reresolveMarket(market, 'Yes', { reason: 'Original outcome', adminId: null });
+
+    expect(alice.balance).toBe(140);
+    expect(bob.balance).toBe(60);
+    expect(bets.map(bet => bet.status)).toEqual(['won', 'lost']);
+    store.expectBalanced();
+  });
+});
+
+describe('re-resolving parlay legs', () => {
+  let first;
+  let second;
+  let user;
+  let parlay;
+
+  const session = { id: 'test' };
+
+  beforeEach(async () => {
+    first = newMarket('First leg');
+    second = newMarket('Second leg');
+    user = await fundedUser(100);
+
+    parlay = new Parlay({
+      userId: user._id,
+      amount: 10,
+      legs: [
+        { marketId: first._id, option: 'Yes', price: 0.5 },
+        { marketId: second._id, option: 'Yes', price: 0.5 }
+      ]
+    });
+    parlay.calculatePotentialPayout();
+    parlays.push(parlay);
+    await ledger.transfer({
+      from: ledger.userAccount(user._id),
+      to: ledger.HOUSE,
+      amount: 10,
+      type: 'parlay_bet',
+      description: 'Parlay'
+    });
+  });
+
+  test('pays once every leg wins and only the difference on a repeat', async () => {
+    first.resolve('Yes');
+    await settleParlayLegs(first, { session });
+    expect(parlay.status).toBe('active');
+    expect(user.balance).toBe(90);
+
+    second.resolve('Yes');
+    const [change] = await settleParlayLegs(second, { session });
+    expect(change.delta).toBeCloseTo(40, 9);
+    expect(parlay.status).toBe('won');
+    expect(user.balance).toBeCloseTo(130, 9);
+
+    const [repeat] = await settleParlayLegs(second, { session });
+    expect(repeat.delta).toBe(0);
+    expect(user.balance).toBeCloseTo(130, 9);
+    store.expectBalanced();
+  });
+
+  test('collects a reversed payout up to the balance and keeps the rest as a shortfall', async () => {
+    first.resolve('Yes');
+    second.resolve('Yes');
+    await settleParlayLegs(first, { session });
+    await settleParlayLegs(second, { session });
+    await ledger.transfer({
+      from: ledger.userAccount(user._id),
+      to: ledger.HOUSE,
+      amount: 115,
+      type: 'bet',
+      description: 'Spent elsewhere'
+    });
+
+    second.resolve('No');
+    const [reversal] = await settleParlayLegs(second, { session });
+    expect(reversal.delta).toBeCloseTo(-15, 9);
+    expect(parlay.status).toBe('lost');
+    expect(parlay.actualPayout).toBeCloseTo(25, 9);
+    expect(parlay.shortfall).toBeCloseTo(25, 9);
+    expect(user.balance).toBeCloseTo(0, 9);
+
+    // A further reversal doesn't collect the shortfall again
+    await ledger.transfer({
+      from: ledger.HOUSE,
+      to: ledger.userAccount(user._id),
+      amount: 50,
+      type: 'admin_adjustment',
+      description: 'Top-up'
+    });
+    first.resolve('No');
+    const [again] = await settleParlayLegs(first, { session });
+    expect(again.delta).toBeCloseTo(0, 9);
+    expect(user.balance).toBeCloseTo(50, 9);
+    first.resolve('Yes');
+    await settleParlayLegs(first, { session });
+
+    // Re-resolved back, the parlay is owed its payout again and only the
+    // collected part is paid back
+    second.resolve('Yes');
+    const [restored] = await settleParlayLegs(second, { session });
+    expect(restored.delta).toBeCloseTo(15, 9);
+    expect(parlay.status).toBe('won');
+    expect(parlay.actualPayout).toBeCloseTo(40, 9);
+    expect(parlay.shortfall).toBe(0);
+    store.expectBalanced();
+  });
+
+  test('drops a voided leg from the price and refunds a fully voided parlay', async () => {
+    first.resolve(Market.VOID_RESOLUTION);
+    await settleParlayLegs(first, { session });
+    expect(parlay.combinedPrice).toBe(0.5);
+
+    second.cancel('Cancelled', null);
+    const [change] = await settleParlayLegs(second, { session });
+    expect(parlay.status).toBe('void');
+    expect(change.delta).toBe(10);
+    expect(user.balance).toBe(100);
+    store.expectBalanced();
+  });
+});
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const Transaction = require('../../src/models/Transaction');
+const User = require('../../src/models/User');
+
+// In-memory stand-ins for the collections the ledger reads and writes, so
+// money movements can be checked without a MongoDB server. Sessions snapshot
+// the store when a transaction starts and restore it when one aborts.
+
+// Query-like result: chainable like a Mongoose query and resolved lazily
+const query = (resolve) => {
+  const chain = {
+    session: () => chain,
+    select: () => chain,
+    then: (onFulfilled, onRejected) => Promise.resolve().then(resolve).then(onFulfilled, onRejected)
+  };
+  return chain;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const createMemoryLedger = () => {
+  const entries = [];
+  const transactions = [];
+  const users = new Map();
+
+  const snapshot = () => ({
+    entries: entries.length,
+    transactions: transactions.length,
+    balances: new Map([...users].map(([id, user]) => [id, user.balance]))
+  });
+
+  const restore = (state) => {
+    entries.splice(state.entries);
+    transactions.splice(state.transactions);
+    state.balances.forEach((balance, id) => {
+      users.get(id).balance = balance;
+    });
+  };
+
+  jest.spyOn(mongoose, 'startSession').mockImplementation(async () => {
+    let state = null;
+    return {
+      startTransaction: () => {
+        state = snapshot();
+      },
+      commitTransaction: async () => {
+        state = null;
+      },
+      abortTransaction: async () => {
+        if (state) restore(state);
+        state = null;
+      },
+      endSession: () => {}
+    };
+  });
+
+  jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (docs) => {
+    entries.push(...docs);
+    return docs;
+  });
+
+  jest.spyOn(LedgerEntry, 'aggregate').mockImplementation((pipeline) => query(() => {
+    const matching = entries.filter(entry => entry.account === pipeline[0].$match.account);
+    return matching.length > 0
+      ? [{ _id: null, balance: matching.reduce((sum, entry) => sum + entry.amount, 0) }]
+      : [];
+  }));
+
+  jest.spyOn(LedgerEntry, 'distinct').mockImplementation((field, filter) => query(() => [
+    ...new Set(entries.filter(entry => filter.type.$in.includes(entry.type)).map(entry => entry[field]))
+  ]));
+
+  jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() {
+    transactions.push(this);
+    return this;
+  });
+
+  jest.spyOn(User, 'findById').mockImplementation((id) => query(() => users.get(idOf(id)) || null));
+
+  jest.spyOn(User, 'exists').mockImplementation((filter) => query(() =>
+    users.has(idOf(filter._id)) ? { _id: filter._id } : null
+  ));
+
+  jest.spyOn(User, 'find').mockImplementation((filter) => query(() =>
+    [...users.values()].filter(user => user.balance > filter.balance.$gt)
+  ));
+
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => query(() => {
+    const user = users.get(idOf(filter._id));
+    if (!user || (filter.balance && user.balance < filter.balance.$gte)) {
+      return null;
+    }
+    user.balance += update.$inc.balance;
+    return user;
+  }));
+
+  jest.spyOn(User, 'updateOne').mockImplementation((filter, update) => query(() => {
+    users.get(idOf(filter._id)).balance += update.$inc.balance;
+    return { modifiedCount: 1 };
+  }));
+
+  // A user whose cached balance is `balance`, without ledger entries behind it
+  const addUser = (balance = 0) => {
+    const user = {
+      _id: new mongoose.Types.ObjectId(),
+      balance,
+      winningBets: 0,
+      recalculateStats: jest.fn(async () => {}),
+      addAchievement: jest.fn(),
+      save: jest.fn(async () => user)
+    };
+    users.set(user._id.toString(), user);
+    return user;
+  };
+
+  const balanceOf = (account) => entries
+    .filter(entry => entry.account === account)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  const journals = () => {
+    const byId = new Map();
+    entries.forEach(entry => {
+      const key = entry.journalId.toString();
+      if (!byId.has(key)) byId.set(key, []);
+      byId.get(key).push(entry);
+    });
+    return [...byId.values()];
+  };
+
+  // Every journal has two sides summing to zero, so the accounts sum to zero,
+  // and every wallet's cached balance matches its ledger account
+  const expectBalanced = () => {
+    journals().forEach(journal => {
+      expect(journal).toHaveLength(2);
+      expect(journal[0].amount + journal[1].amount).toBeCloseTo(0, 9);
+    });
+    expect(entries.reduce((sum, entry) => sum + entry.amount, 0)).toBeCloseTo(0, 9);
+    users.forEach((user, id) => {
+      expect(user.balance).toBeCloseTo(balanceOf(`user:${id}`), 9);
+      expect(user.balance).toBeGreaterThanOrEqual(0);
+    });
+  };
+
+  return { entries, transactions, users, query, addUser, balanceOf, journals, expectBalanced };
+};
+
+module.exports = { createMemoryLedger, query };